@@ -0,0 +1,48 @@
+// routes/auth.js
+const express = require('express');
+const router = express.Router();
+const { signToken, verifyPassword, verifyAdminKey, requireAuth } = require('../utils/auth');
+
+// Exchange credentials for a token.
+// Students/proctors: { role, id, password }. Admin: { role: 'admin', password: ADMIN_API_KEY }
+router.post('/login', async (req, res) => {
+  try {
+    const { role, id, password } = req.body;
+    const { sessionStore } = req.app.locals;
+    
+    if (role === 'admin') {
+      if (!verifyAdminKey(password)) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      return res.json({ token: signToken({ id: 'admin', role: 'admin' }), role: 'admin' });
+    }
+    
+    let user = null;
+    if (role === 'student') {
+      user = await sessionStore.getRegisteredStudent(id);
+    } else if (role === 'proctor') {
+      user = await sessionStore.getRegisteredProctor(id);
+    } else {
+      return res.status(400).json({ error: 'role must be student, proctor or admin' });
+    }
+    
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    
+    res.json({
+      token: signToken({ id: user.id, role }),
+      role: role,
+      id: user.id
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Who am I
+router.get('/me', requireAuth(), (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+// routes/clips.js
+const express = require('express');
+const router = express.Router();
+const { AuthError, requireAuth, sendAuthError, checkProctorAccess, getStudentRoomId } = require('../utils/auth');
+const { ClipError } = require('../utils/clips');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('clips');
+
+const sendClipError = (res, error, fallback) => {
+  if (error instanceof ClipError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error instanceof AuthError) {
+    return sendAuthError(res, error);
+  }
+  log.error(fallback, { error });
+  return res.status(500).json({ error: fallback });
+};
+
+// Admins see every clip; proctors the clips of rooms they are assigned to
+const checkClipAccess = async (req, roomId, permission = 'monitor') => {
+  if (req.user.role === 'admin') {
+    return;
+  }
+  await checkProctorAccess(req.app.locals.sessionStore, req.user.id, { roomId, permission });
+};
+
+const loadClip = async (req, res, next) => {
+  try {
+    const clip = await req.app.locals.clipExporter.get(req.params.clipId);
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    await checkClipAccess(req, clip.roomId);
+    req.clip = clip;
+    next();
+  } catch (error) {
+    sendClipError(res, error, 'Failed to load clip');
+  }
+};
+
+router.use(requireAuth('proctor', 'admin'));
+
+// Mark a moment: { studentId, streamType, timestamp, secondsBefore,
+// secondsAfter, reason, incidentId }. The clip is exported once the window
+// has been recorded; poll GET /:clipId or listen for 'clip-ready'. Recording
+// is switched on for the stream if it was off; 409 when MediaMTX refuses.
+router.post('/', async (req, res) => {
+  try {
+    const { studentId, streamType, timestamp, secondsBefore, secondsAfter, reason, incidentId } = req.body;
+    if (!studentId || !streamType) {
+      return res.status(400).json({ error: 'studentId and streamType are required' });
+    }
+
+    const { sessionStore, clipExporter } = req.app.locals;
+    const roomId = await getStudentRoomId(sessionStore, studentId);
+    if (!roomId) {
+      return res.status(404).json({ error: 'Student not found' });
+    }
+    await checkClipAccess(req, roomId, 'flag');
+
+    const clip = await clipExporter.mark({
+      studentId,
+      roomId,
+      streamType,
+      timestamp,
+      secondsBefore,
+      secondsAfter,
+      proctorId: req.user.id,
+      reason,
+      incidentId
+    });
+
+    const { io, proctorChannel } = req.app.locals;
+    io.to(proctorChannel(roomId)).emit('clip-created', clip);
+
+    res.status(202).json({
+      message: 'Clip scheduled for export',
+      clip
+    });
+  } catch (error) {
+    sendClipError(res, error, 'Failed to mark moment');
+  }
+});
+
+// List clips (?studentId=&roomId=&status=)
+router.get('/', async (req, res) => {
+  try {
+    const { studentId, roomId, status } = req.query;
+    const filter = { studentId, roomId, status };
+
+    if (req.user.role === 'proctor') {
+      const proctor = await req.app.locals.sessionStore.getRegisteredProctor(req.user.id);
+      filter.roomIds = proctor ? proctor.roomIds || [] : [];
+    }
+
+    const clips = await req.app.locals.clipExporter.list(filter);
+    res.json(clips);
+  } catch (error) {
+    sendClipError(res, error, 'Failed to fetch clips');
+  }
+});
+
+// Get clip metadata
+router.get('/:clipId', loadClip, (req, res) => {
+  res.json(req.clip);
+});
+
+// Download the exported mp4
+router.get('/:clipId/download', loadClip, (req, res) => {
+  const { clip } = req;
+  if (clip.status !== 'ready') {
+    return res.status(409).json({ error: `Clip is ${clip.status}`, details: clip.error });
+  }
+
+  const fileName = `${clip.streamName}_${new Date(clip.markedAt).toISOString().replace(/[:.]/g, '-')}.mp4`;
+  res.download(req.app.locals.clipExporter.filePath(clip), fileName, (error) => {
+    if (error && !res.headersSent) {
+      log.error('Clip download failed', { clipId: clip.id, error: error.message });
+      res.status(404).json({ error: 'Clip file missing' });
+    }
+  });
+});
+
+// Delete a clip and its file (admin only)
+router.delete('/:clipId', requireAuth('admin'), async (req, res) => {
+  try {
+    const deleted = await req.app.locals.clipExporter.delete(req.params.clipId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    res.json({ message: 'Clip deleted', clipId: req.params.clipId });
+  } catch (error) {
+    sendClipError(res, error, 'Failed to delete clip');
+  }
+});
+
+module.exports = router;
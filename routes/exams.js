@@ -0,0 +1,137 @@
+// routes/exams.js
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const { ExamSessionError } = require('../utils/examSessions');
+const { applyExamRecording } = require('../utils/recordings');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('exams');
+
+const sendExamError = (res, error, fallback) => {
+  if (error instanceof ExamSessionError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  log.error(fallback, { error });
+  return res.status(500).json({ error: fallback });
+};
+
+// Admins see every exam, proctors the ones they are assigned to and
+// students the ones they are on the roster for.
+const canViewExam = (user, session) => {
+  return user.role === 'admin'
+    || (user.role === 'proctor' && session.proctorIds.includes(user.id))
+    || (user.role === 'student' && session.roster.includes(user.id));
+};
+
+// Create exam session
+router.post('/', requireAuth('admin'), async (req, res) => {
+  try {
+    const session = await req.app.locals.examSessions.create(req.body, { createdBy: req.user.id });
+    
+    res.status(201).json({
+      message: 'Exam session created',
+      exam: session
+    });
+  } catch (error) {
+    sendExamError(res, error, 'Failed to create exam session');
+  }
+});
+
+// List exam sessions visible to the caller (?status= to filter)
+router.get('/', requireAuth(), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { status };
+    if (req.user.role === 'proctor') filter.proctorId = req.user.id;
+    if (req.user.role === 'student') filter.studentId = req.user.id;
+    
+    const exams = await req.app.locals.examSessions.list(filter);
+    res.json(exams);
+  } catch (error) {
+    sendExamError(res, error, 'Failed to fetch exam sessions');
+  }
+});
+
+// Get exam session
+router.get('/:examId', requireAuth(), async (req, res) => {
+  try {
+    const session = await req.app.locals.examSessions.get(req.params.examId);
+    
+    if (!session || !canViewExam(req.user, session)) {
+      return res.status(404).json({ error: 'Exam session not found' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    sendExamError(res, error, 'Failed to fetch exam session');
+  }
+});
+
+// Update exam session (title, window, roster, streams, proctors)
+router.put('/:examId', requireAuth('admin'), async (req, res) => {
+  try {
+    const { examSessions, examScheduler, mediamtx } = req.app.locals;
+    const before = await examSessions.get(req.params.examId);
+    const session = await examSessions.update(req.params.examId, req.body);
+    
+    // Recording toggled mid-exam applies to the running streams right away
+    if (session.status === 'active' && before.recording !== session.recording) {
+      await applyExamRecording(mediamtx, session);
+    }
+    
+    // A window moved into the past should close right away
+    await examScheduler.tick();
+    
+    res.json({
+      message: 'Exam session updated',
+      exam: await examSessions.get(session.id)
+    });
+  } catch (error) {
+    sendExamError(res, error, 'Failed to update exam session');
+  }
+});
+
+// End an exam early
+router.post('/:examId/end', requireAuth('admin'), async (req, res) => {
+  try {
+    const { examSessions, examScheduler } = req.app.locals;
+    if (!await examSessions.get(req.params.examId)) {
+      return res.status(404).json({ error: 'Exam session not found' });
+    }
+    
+    const session = await examScheduler.end(req.params.examId, { reason: req.body.reason || 'manual' });
+    res.json({
+      message: 'Exam session ended',
+      exam: session
+    });
+  } catch (error) {
+    sendExamError(res, error, 'Failed to end exam session');
+  }
+});
+
+// Cancel exam session - closes the room if it is running
+router.delete('/:examId', requireAuth('admin'), async (req, res) => {
+  try {
+    const { examSessions, examScheduler } = req.app.locals;
+    const session = await examSessions.get(req.params.examId);
+    if (!session) {
+      return res.status(404).json({ error: 'Exam session not found' });
+    }
+    if (session.status === 'ended' || session.status === 'cancelled') {
+      return res.status(409).json({ error: `Exam session is already ${session.status}` });
+    }
+    
+    await examSessions.syncProctorAssignments(session.roomId, session.proctorIds, []);
+    const cancelled = await examScheduler.end(session.id, { reason: 'cancelled', status: 'cancelled' });
+    
+    res.json({
+      message: 'Exam session cancelled',
+      exam: cancelled
+    });
+  } catch (error) {
+    sendExamError(res, error, 'Failed to cancel exam session');
+  }
+});
+
+module.exports = router;
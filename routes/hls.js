@@ -0,0 +1,184 @@
+// routes/hls.js
+// HLS proxy, mounted under /hls. Requests go to the HLS server of the
+// MediaMTX node that owns the stream, and bodies are streamed straight
+// through with backpressure rather than buffered.
+//
+//   *.m3u8          playlists, rewritten by utils/hlsPlaylist.js and never
+//                   cached. LL-HLS blocking reloads (_HLS_msn/_HLS_part) are
+//                   held open by MediaMTX until the part exists, so they get
+//                   a longer timeout.
+//   everything else MPEG-TS segments, fmp4 init segments, segments and
+//                   parts, MediaMTX's player page. Range and conditional
+//                   requests are forwarded.
+//
+// Requests and bytes sent are counted per stream and file type for /metrics.
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const express = require('express');
+const router = express.Router();
+const { requireStreamAccess, serviceAuthHeaders } = require('../utils/auth');
+const { createStreamPathIfNeeded } = require('../utils/streams');
+const { rewritePlaylist } = require('../utils/hlsPlaylist');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('hls');
+
+const PLAYLIST_TIMEOUT = 8000;
+const BLOCKING_PLAYLIST_TIMEOUT = 30000;
+// Until MediaMTX answers; the body itself may take longer
+const MEDIA_TIMEOUT = 12000;
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+  '.m4s': 'video/iso.segment',
+  '.aac': 'audio/aac',
+  '.vtt': 'text/vtt'
+};
+
+const FORWARDED_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+const FORWARDED_RESPONSE_HEADERS = ['content-length', 'content-range', 'accept-ranges', 'etag', 'last-modified'];
+
+// Segment and part names are unique within a muxer's lifetime, and the
+// response depends on the caller's token
+const MEDIA_CACHE_CONTROL = 'private, max-age=60';
+const PLAYLIST_CACHE_CONTROL = 'no-cache, no-store, must-revalidate';
+
+// 'playlist' | 'media' | 'page' label for metrics
+const fileTypeOf = (file) => {
+  if (!file) {
+    return 'page';
+  }
+  return extensionOf(file) === '.m3u8' ? 'playlist' : 'media';
+};
+
+const extensionOf = (file) => {
+  const match = /\.[a-z0-9]+$/i.exec(file);
+  return match ? match[0].toLowerCase() : '';
+};
+
+const pickHeaders = (headers, names) => Object.fromEntries(names
+  .filter(name => headers[name] !== undefined)
+  .map(name => [name, headers[name]]));
+
+// The master playlist of a stream nobody publishes yet: make sure the path
+// exists and tell the player to come back
+const sendStreamNotReady = async (res, mediamtx, streamName) => {
+  log.info('Creating missing stream path for HLS', { streamName });
+  try {
+    await createStreamPathIfNeeded(mediamtx, streamName);
+    res.status(404).json({
+      error: `HLS stream ${streamName} not available yet`,
+      message: 'Stream path created, please try again in a few seconds',
+      retryAfter: 5,
+      statusUrl: `/api/stream/${streamName}/status`
+    });
+  } catch (createError) {
+    res.status(404).send(`HLS stream ${streamName} not available`);
+  }
+};
+
+router.get('/:streamName/*', requireStreamAccess('read'), async (req, res) => {
+  const { streamName } = req.params;
+  const { mediamtx, metrics } = req.app.locals;
+  const filePath = req.params[0];
+  const isPlaylist = extensionOf(filePath) === '.m3u8';
+  const fileType = fileTypeOf(filePath);
+  res.on('close', () => {
+    metrics.countHlsRequest(streamName, fileType, res.writableFinished ? res.statusCode : 'aborted');
+  });
+
+  // Everything but our own token goes to MediaMTX, LL-HLS directives included
+  const query = new URL(req.originalUrl, 'http://proxy').searchParams;
+  query.delete('token');
+  const blocking = isPlaylist && query.has('_HLS_msn');
+  const search = query.toString();
+  const streamUrl = `${mediamtx.nodeFor(streamName).urls.hls}/${streamName}/`;
+  const targetUrl = `${streamUrl}${filePath}${search ? `?${search}` : ''}`;
+
+  // Abort when the player goes away or MediaMTX doesn't answer in time
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, blocking ? BLOCKING_PLAYLIST_TIMEOUT : isPlaylist ? PLAYLIST_TIMEOUT : MEDIA_TIMEOUT);
+  res.on('close', () => controller.abort());
+
+  try {
+    const response = await fetch(targetUrl, {
+      headers: {
+        'Accept': req.headers.accept || '*/*',
+        // Lengths and byte ranges have to match what MediaMTX stored
+        'Accept-Encoding': 'identity',
+        'User-Agent': 'Railway-HLS-Proxy',
+        ...pickHeaders(req.headers, FORWARDED_REQUEST_HEADERS),
+        ...serviceAuthHeaders()
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok && response.status !== 304) {
+      clearTimeout(timer);
+      await response.body?.cancel();
+      log.warn('HLS request failed upstream', { streamName, file: filePath, status: response.status });
+      if (response.status === 404 && filePath === 'index.m3u8') {
+        return sendStreamNotReady(res, mediamtx, streamName);
+      }
+      return res.status(response.status).send(`HLS ${filePath || 'page'} for ${streamName} not available: ${response.status}`);
+    }
+
+    res.set({
+      'Access-Control-Allow-Origin': '*',
+      'Cache-Control': isPlaylist ? PLAYLIST_CACHE_CONTROL : MEDIA_CACHE_CONTROL
+    });
+
+    if (isPlaylist && response.status === 200) {
+      const playlist = await response.text();
+      clearTimeout(timer);
+      const rewritten = rewritePlaylist(playlist, { playlistUrl: targetUrl, streamUrl, token: req.query.token });
+      metrics.countHlsBytes(streamName, fileType, Buffer.byteLength(rewritten));
+      res.type(CONTENT_TYPES['.m3u8']);
+      return res.send(rewritten);
+    }
+    clearTimeout(timer);
+
+    res.status(response.status);
+    res.set(pickHeaders(Object.fromEntries(response.headers), FORWARDED_RESPONSE_HEADERS));
+    res.type(response.headers.get('content-type') || CONTENT_TYPES[extensionOf(filePath)] || 'application/octet-stream');
+    if (response.status === 304 || !response.body) {
+      return res.end();
+    }
+    await pipeline(
+      Readable.fromWeb(response.body),
+      async function* countBytes(source) {
+        for await (const chunk of source) {
+          metrics.countHlsBytes(streamName, fileType, chunk.length);
+          yield chunk;
+        }
+      },
+      res
+    );
+  } catch (error) {
+    clearTimeout(timer);
+    if (res.headersSent) {
+      // Mid-body: the player hung up or MediaMTX dropped the segment
+      if (!res.destroyed) {
+        res.destroy(error);
+      }
+      return;
+    }
+    if (timedOut) {
+      log.error('HLS request timed out', { streamName, file: filePath, blocking });
+      return res.status(504).send(`HLS ${filePath} request timed out`);
+    }
+    if (controller.signal.aborted) {
+      return;
+    }
+    log.error('HLS proxy error', { streamName, file: filePath, error: error.message });
+    res.status(503).send('HLS service unavailable');
+  }
+});
+
+module.exports = router;
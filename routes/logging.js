@@ -0,0 +1,38 @@
+// routes/logging.js
+// Admin control of the backend's log levels (utils/logger.js). Changes
+// apply at once, without a restart, and with a shared Socket.IO adapter they
+// are passed on to every replica. They last until the process restarts; the
+// configured levels (LOG_LEVEL / LOG_LEVELS) apply again after that.
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const { config } = require('../utils/config');
+const { createLogger, getLevels, setLevels } = require('../utils/logger');
+
+const log = createLogger('server');
+
+router.use(requireAuth('admin'));
+
+// Default level and the effective level of every known subsystem
+router.get('/', (req, res) => {
+  res.json(getLevels());
+});
+
+// Body maps subsystems (hls, whip, socket, supervisor, mediamtx, ...) or
+// "default" to a level; null puts a subsystem back on the default, e.g.
+// { "hls": "debug", "socket": null }
+router.patch('/', (req, res) => {
+  try {
+    const levels = setLevels(req.body);
+    const replicated = config.cluster.adapter !== 'local';
+    if (replicated) {
+      req.app.locals.io.serverSideEmit('log-levels', req.body);
+    }
+    log.info('Log levels changed', { changes: req.body, by: req.user.id });
+    res.json({ message: 'Log levels updated', replicated, ...levels });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
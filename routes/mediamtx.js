@@ -0,0 +1,53 @@
+// routes/mediamtx.js
+// Admin view of the supervised MediaMTX process, the MediaMTX nodes and
+// runtime config changes.
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../utils/auth');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('supervisor');
+
+router.use(requireAuth('admin'));
+
+// Supervisor state, probes and restart history
+router.get('/status', (req, res) => {
+  res.json(req.app.locals.mediamtxSupervisor.getStatus());
+});
+
+// Every MediaMTX node with health, load and number of assigned paths
+router.get('/nodes', (req, res) => {
+  res.json(req.app.locals.mediamtx.getStatus());
+});
+
+// Patch MediaMTX's global config (e.g. { "logLevel": "debug" }) without
+// restarting the binary. Kept and re-applied after restarts.
+router.patch('/config', async (req, res) => {
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body) || Object.keys(req.body).length === 0) {
+      return res.status(400).json({ error: 'Body must be an object of global config fields' });
+    }
+    
+    const runtimeConfig = await req.app.locals.mediamtxSupervisor.applyConfig(req.body);
+    res.json({ message: 'MediaMTX config updated', runtimeConfig });
+  } catch (error) {
+    log.error('MediaMTX config update failed', { error: error.message });
+    res.status(error.isUnavailable ? 503 : (error.status || 500)).json({
+      error: 'Failed to update MediaMTX config',
+      details: error.message
+    });
+  }
+});
+
+// Restart the binary; also clears a 'failed' state after too many crashes
+router.post('/restart', async (req, res) => {
+  try {
+    const { mediamtxSupervisor } = req.app.locals;
+    await mediamtxSupervisor.restart();
+    res.json({ message: 'MediaMTX restart requested', status: mediamtxSupervisor.getStatus() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to restart MediaMTX', details: error.message });
+  }
+});
+
+module.exports = router;
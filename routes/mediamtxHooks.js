@@ -0,0 +1,91 @@
+// routes/mediamtxHooks.js
+// Endpoints MediaMTX calls back into. Mounted under /internal/mediamtx and
+// only reachable from loopback unless MEDIAMTX_HOOK_SECRET is set and passed
+// as ?secret= (needed when MediaMTX runs on another host).
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { verifyToken, canPublish, canRead } = require('../utils/auth');
+const { config } = require('../utils/config');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('auth');
+
+const HOOK_SECRET = config.auth.hookSecret;
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+const isValidSecret = (secret) => {
+  if (!HOOK_SECRET || !secret) {
+    return false;
+  }
+  const expected = Buffer.from(HOOK_SECRET);
+  const actual = Buffer.from(String(secret));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const requireHookAccess = (req, res, next) => {
+  if (LOOPBACK.includes(req.socket.remoteAddress) || isValidSecret(req.query.secret)) {
+    return next();
+  }
+  res.status(403).json({ error: 'Hook endpoints are internal' });
+};
+
+router.use(requireHookAccess);
+
+// MediaMTX sends the credentials wherever the protocol carries them:
+//   WebRTC/HLS  -> Authorization: Bearer <jwt>   (token)
+//   RTSP        -> rtsp://<id>:<jwt>@host/path   (user/password)
+//   RTMP        -> ?user=<id>&pass=<jwt>         (user/password)
+//   SRT         -> streamid=publish:path:<id>:<jwt>
+// and anything else may still pass ?token=<jwt> in the query string.
+const extractHookToken = ({ token, password, query }) => {
+  if (token) {
+    return token;
+  }
+  if (password) {
+    return password;
+  }
+  return new URLSearchParams(query || '').get('token');
+};
+
+// Body: { user, password, token, ip, action, path, protocol, id, query }
+// 200 allows the action, anything else denies it.
+router.post('/auth', async (req, res) => {
+  const { user: username, action, path, protocol, ip } = req.body;
+
+  try {
+    const token = extractHookToken(req.body);
+    if (!token) {
+      log.info('MediaMTX auth denied (no credentials)', { action, path, protocol, ip });
+      return res.status(401).json({ error: 'Credentials required' });
+    }
+
+    const user = verifyToken(token);
+
+    // If a username was supplied it has to match the token's subject
+    if (username && user.role !== 'service' && username !== user.id) {
+      return res.status(401).json({ error: 'Username does not match token' });
+    }
+
+    let allowed = false;
+    if (user.role === 'service' || user.role === 'admin') {
+      allowed = true;
+    } else if (action === 'publish') {
+      allowed = await canPublish(req.app.locals.sessionStore, user, path);
+    } else if (action === 'read' || action === 'playback') {
+      allowed = await canRead(req.app.locals.sessionStore, user, path);
+    }
+
+    if (!allowed) {
+      log.info('MediaMTX auth denied', { role: user.role, userId: user.id, action, path, protocol });
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    res.sendStatus(200);
+  } catch (error) {
+    log.info('MediaMTX auth denied', { action, path, protocol, error: error.message });
+    res.status(401).json({ error: 'Invalid credentials' });
+  }
+});
+
+module.exports = router;
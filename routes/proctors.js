@@ -1,66 +1,176 @@
 // routes/proctors.js
 const express = require('express');
 const router = express.Router();
-
-// In-memory storage
-let proctorsData = {};
+const {
+  STREAM_TYPES,
+  hashPassword,
+  signToken,
+  DEFAULT_PROCTOR_PERMISSIONS,
+  requireAuth,
+  checkProctorAccess,
+  sendAuthError
+} = require('../utils/auth');
+const { streamNameFor } = require('../utils/streams');
+const { mosaicNameFor } = require('../utils/roomMosaic');
+const { config } = require('../utils/config');
 
 // Get all active proctors
-router.get('/active', (req, res) => {
+router.get('/active', requireAuth('proctor', 'admin'), async (req, res) => {
   try {
-    const proctors = Object.values(req.app.locals.activeProctors || {});
+    const proctors = await req.app.locals.sessionStore.listProctors();
     res.json(proctors);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch proctors' });
   }
 });
 
-// Register proctor
-router.post('/register', (req, res) => {
+// Register proctor (admin only - permissions and room assignments are granted
+// here; 'terminate' is not among the defaults)
+router.post('/register', requireAuth('admin'), async (req, res) => {
   try {
-    const { proctorId, name, email, permissions } = req.body;
+    const { proctorId, name, email, permissions, roomIds, password } = req.body;
+    const { sessionStore } = req.app.locals;
+    
+    if (!proctorId || !password) {
+      return res.status(400).json({ error: 'proctorId and password are required' });
+    }
+    
+    if (await sessionStore.getRegisteredProctor(proctorId)) {
+      return res.status(409).json({ error: 'Proctor already registered' });
+    }
     
-    proctorsData[proctorId] = {
+    const { passwordHash, ...proctor } = await sessionStore.registerProctor({
       id: proctorId,
       name: name,
       email: email,
-      permissions: permissions || ['monitor', 'flag', 'warning'],
+      permissions: permissions || DEFAULT_PROCTOR_PERMISSIONS,
+      roomIds: roomIds || [],
+      passwordHash: hashPassword(password),
       registeredAt: new Date(),
       status: 'registered'
-    };
+    });
     
     res.json({
       message: 'Proctor registered successfully',
-      proctor: proctorsData[proctorId]
+      proctor: proctor,
+      token: signToken({ id: proctorId, role: 'proctor' })
     });
   } catch (error) {
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
+// Assign a proctor to rooms and/or change their permissions
+router.put('/:proctorId/assignments', requireAuth('admin'), async (req, res) => {
+  try {
+    const { proctorId } = req.params;
+    const { roomIds, permissions } = req.body;
+    const { sessionStore } = req.app.locals;
+    
+    const registered = await sessionStore.getRegisteredProctor(proctorId);
+    if (!registered) {
+      return res.status(404).json({ error: 'Proctor not found' });
+    }
+    
+    if (roomIds) registered.roomIds = roomIds;
+    if (permissions) registered.permissions = permissions;
+    
+    const { passwordHash, ...proctor } = await sessionStore.registerProctor(registered);
+    
+    res.json({
+      message: 'Proctor assignments updated',
+      proctor: proctor
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update assignments' });
+  }
+});
+
 // Get proctor dashboard data
-router.get('/:proctorId/dashboard', (req, res) => {
+router.get('/:proctorId/dashboard', requireAuth('proctor', 'admin'), async (req, res) => {
   try {
     const { proctorId } = req.params;
     const { roomId } = req.query;
+    const { sessionStore, incidentLog, streamMonitor, complianceMonitor } = req.app.locals;
+    
+    if (req.user.role === 'proctor') {
+      if (req.user.id !== proctorId) {
+        return res.status(403).json({ error: 'Not allowed to view another proctor\'s dashboard' });
+      }
+      try {
+        await checkProctorAccess(sessionStore, proctorId, { roomId });
+      } catch (authError) {
+        return sendAuthError(res, authError);
+      }
+    }
     
-    const rooms = req.app.locals.rooms || {};
-    const roomData = rooms[roomId];
+    const roomData = await sessionStore.getRoom(roomId);
     
     if (!roomData) {
       return res.status(404).json({ error: 'Room not found' });
     }
     
+    // Stream state comes from MediaMTX, not from what clients report
+    const liveStreams = streamMonitor.listReadyPaths().map(path => path.name);
+    const students = roomData.students.map(student => ({
+      ...student,
+      liveStreams: STREAM_TYPES.filter(type => liveStreams.includes(streamNameFor(student.id, type))),
+      compliance: complianceMonitor.getStudentCompliance(student.id)
+    }));
+    
     res.json({
       roomId: roomId,
-      students: roomData.students || [],
-      proctors: roomData.proctors || [],
-      totalStudents: roomData.students?.length || 0,
-      activeStreams: roomData.students?.filter(s => s.cameraActive || s.screenSharing).length || 0
+      students: students,
+      proctors: roomData.proctors,
+      totalStudents: students.length,
+      activeStreams: students.reduce((total, student) => total + student.liveStreams.length, 0),
+      nonCompliantStudents: students.filter(student => Object.values(student.compliance).some(c => !c.compliant)).length,
+      incidents: await incidentLog.list({ roomId, limit: 100 }),
+      unacknowledgedIncidents: (await incidentLog.list({ roomId, unacknowledged: true })).length
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch dashboard data' });
   }
 });
 
+// Room thumbnail wall (utils/roomMosaic.js): where to play it and which
+// student sits in which tile
+router.get('/rooms/:roomId/mosaic', requireAuth('proctor', 'admin'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { sessionStore, streamMonitor, roomMosaics } = req.app.locals;
+
+    if (req.user.role === 'proctor') {
+      try {
+        await checkProctorAccess(sessionStore, req.user.id, { roomId });
+      } catch (authError) {
+        return sendAuthError(res, authError);
+      }
+    }
+    if (!config.mosaic.enabled) {
+      return res.status(404).json({ error: 'Room mosaics are disabled (MOSAIC_ENABLED)' });
+    }
+
+    const streamName = mosaicNameFor(roomId);
+    const mosaic = await roomMosaics.getRoom(roomId);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.json({
+      roomId,
+      streamName,
+      live: streamMonitor.listReadyPaths().some(path => path.name === streamName),
+      node: mosaic ? mosaic.nodeId : null,
+      layout: mosaic ? mosaic.layout : null,
+      tiles: mosaic ? mosaic.tiles : [],
+      lastError: mosaic ? mosaic.lastError : null,
+      urls: {
+        whep: `${baseUrl}/${streamName}/whep`,
+        hls: `${baseUrl}/hls/${streamName}/index.m3u8`
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch room mosaic' });
+  }
+});
+
 module.exports = router;
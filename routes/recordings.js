@@ -0,0 +1,116 @@
+// routes/recordings.js
+const { Readable } = require('stream');
+const express = require('express');
+const router = express.Router();
+const { STREAM_TYPES, requireAuth, requireStudentAccess } = require('../utils/auth');
+const { streamNameFor } = require('../utils/streams');
+const { listRecordedSegments, fetchRecording } = require('../utils/recordings');
+const { createLogger } = require('../utils/logger');
+
+const log = createLogger('recordings');
+
+const FORMATS = { mp4: 'video/mp4', fmp4: 'video/mp4' };
+
+const validateStream = (req, res, next) => {
+  if (!STREAM_TYPES.includes(req.params.streamType)) {
+    return res.status(400).json({ error: `streamType must be one of: ${STREAM_TYPES.join(', ')}` });
+  }
+  next();
+};
+
+// Only proctors assigned to the student's room (and admins) review recordings
+const guard = [requireAuth('proctor', 'admin'), requireStudentAccess('studentId'), validateStream];
+
+// List recorded spans for a student's stream, optionally within ?start=&end=.
+// Each span names the fleet node that recorded it; its playback/download URLs
+// carry that node along.
+router.get('/:studentId/:streamType', guard, async (req, res) => {
+  try {
+    const { studentId, streamType } = req.params;
+    const { start, end } = req.query;
+    const streamName = streamNameFor(studentId, streamType);
+    
+    const segments = await listRecordedSegments(req.app.locals.mediamtx, streamName, { start, end });
+    
+    res.json({
+      studentId,
+      streamType,
+      streamName,
+      segments: segments.map(segment => {
+        const query = new URLSearchParams({ start: segment.start, duration: segment.duration, node: segment.node }).toString();
+        return {
+          start: segment.start,
+          duration: segment.duration,
+          node: segment.node,
+          playbackUrl: `/api/v1/recordings/${studentId}/${streamType}/playback?${query}`,
+          downloadUrl: `/api/v1/recordings/${studentId}/${streamType}/download?${query}`
+        };
+      })
+    });
+  } catch (error) {
+    log.error('Recording list failed', { error: error.message });
+    res.status(error.status || 500).json({ error: 'Failed to list recordings', details: error.message });
+  }
+});
+
+// Playback server of the node holding the recording: ?node= from the listing,
+// else the first node with a segment in the requested range
+const findPlaybackUrl = async (mediamtx, streamName, { node: nodeId, start, duration }) => {
+  if (nodeId) {
+    const node = mediamtx.getNode(nodeId);
+    return node ? node.urls.playback : null;
+  }
+  const end = new Date(new Date(start).getTime() + Number(duration) * 1000);
+  const [segment] = await listRecordedSegments(mediamtx, streamName, { start, end });
+  return segment ? mediamtx.getNode(segment.node).urls.playback : null;
+};
+
+// Streams ?start=&duration= (seconds)[&node=] of a recording from the
+// MediaMTX playback server. `disposition` decides between inline playback
+// and download.
+const proxyRecording = (disposition) => async (req, res) => {
+  const { studentId, streamType } = req.params;
+  const { start, duration, node, format = 'mp4' } = req.query;
+  
+  if (!start || Number.isNaN(new Date(start).getTime()) || !(Number(duration) > 0)) {
+    return res.status(400).json({ error: 'start (ISO date) and duration (seconds) are required' });
+  }
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` });
+  }
+  
+  const streamName = streamNameFor(studentId, streamType);
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  
+  try {
+    const playbackUrl = await findPlaybackUrl(req.app.locals.mediamtx, streamName, { node, start, duration });
+    if (!playbackUrl) {
+      return res.status(404).json({ error: 'Recording unavailable', details: `No recording of ${streamName} at ${start}` });
+    }
+    const response = await fetchRecording(streamName, {
+      start,
+      duration,
+      format,
+      signal: controller.signal,
+      playbackUrl
+    });
+    const fileName = `${streamName}_${new Date(start).toISOString().replace(/[:.]/g, '-')}.mp4`;
+    
+    res.set({
+      'Content-Type': FORMATS[format],
+      'Content-Disposition': `${disposition}; filename="${fileName}"`,
+      'Cache-Control': 'private, max-age=300'
+    });
+    Readable.fromWeb(response.body).on('error', () => res.destroy()).pipe(res);
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    log.error(`Recording ${disposition} failed`, { streamName, error: error.message });
+    res.status(error.status || 500).json({ error: 'Recording unavailable', details: error.message });
+  }
+};
+
+router.get('/:studentId/:streamType/playback', guard, proxyRecording('inline'));
+router.get('/:studentId/:streamType/download', guard, proxyRecording('attachment'));
+
+module.exports = router;
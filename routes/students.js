@@ -1,14 +1,12 @@
 // routes/students.js
 const express = require('express');
 const router = express.Router();
-
-// In-memory storage (production me database use karenge)
-let studentsData = {};
+const { hashPassword, signToken, requireAuth, requireSelfOrRole, requireStudentAccess } = require('../utils/auth');
 
 // Get all active students
-router.get('/active', (req, res) => {
+router.get('/active', requireAuth('proctor', 'admin'), async (req, res) => {
   try {
-    const students = Object.values(req.app.locals.activeStudents || {});
+    const students = await req.app.locals.sessionStore.listStudents();
     res.json(students);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch students' });
@@ -16,10 +14,10 @@ router.get('/active', (req, res) => {
 });
 
 // Get specific student details
-router.get('/:studentId', (req, res) => {
+router.get('/:studentId', requireAuth(), requireStudentAccess('studentId'), async (req, res) => {
   try {
     const { studentId } = req.params;
-    const student = req.app.locals.activeStudents?.[studentId];
+    const student = await req.app.locals.sessionStore.getStudent(studentId);
     
     if (!student) {
       return res.status(404).json({ error: 'Student not found' });
@@ -31,46 +29,101 @@ router.get('/:studentId', (req, res) => {
   }
 });
 
-// Register student
-router.post('/register', (req, res) => {
+// Get a student's join/leave history across restarts
+router.get('/:studentId/sessions', requireAuth(), requireStudentAccess('studentId'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const sessions = await req.app.locals.sessionStore.getSessionHistory({ userId: studentId });
+    
+    res.json({ studentId, sessions });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch session history' });
+  }
+});
+
+// Get the proctor actions (flags, warnings, pauses, terminations) taken against a student
+router.get('/:studentId/incidents', requireAuth(), requireStudentAccess('studentId'), async (req, res) => {
   try {
-    const { studentId, name, email, roomId } = req.body;
+    const { studentId } = req.params;
+    const incidents = await req.app.locals.incidentLog.list({ studentId });
     
-    studentsData[studentId] = {
+    res.json({ studentId, total: incidents.length, incidents });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch incident history' });
+  }
+});
+
+// Register student - returns a token so the client can connect right away
+router.post('/register', async (req, res) => {
+  try {
+    const { studentId, name, email, roomId, password } = req.body;
+    const { sessionStore } = req.app.locals;
+    
+    if (!studentId || !password) {
+      return res.status(400).json({ error: 'studentId and password are required' });
+    }
+    
+    if (await sessionStore.getRegisteredStudent(studentId)) {
+      return res.status(409).json({ error: 'Student already registered' });
+    }
+    
+    const { passwordHash, ...student } = await sessionStore.registerStudent({
       id: studentId,
       name: name,
       email: email,
       roomId: roomId,
+      passwordHash: hashPassword(password),
       registeredAt: new Date(),
       status: 'registered'
-    };
+    });
     
     res.json({
       message: 'Student registered successfully',
-      student: studentsData[studentId]
+      student: student,
+      token: signToken({ id: studentId, role: 'student' })
     });
   } catch (error) {
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-// Update student status
-router.put('/:studentId/status', (req, res) => {
+// Statuses that put a hold on the student (see applyStudentStatus in server.js)
+const HOLD_STATUSES = ['paused', 'terminated'];
+
+// Update student status. Pausing and terminating are for proctors (through
+// the pause-exam/terminate-exam socket events) and admins; a student on hold
+// cannot change their own status until they are resumed.
+router.put('/:studentId/status', requireAuth(), requireSelfOrRole('studentId', 'admin'), async (req, res) => {
   try {
     const { studentId } = req.params;
     const { status, cameraActive, screenSharing } = req.body;
+    const { sessionStore, io, applyStudentStatus } = req.app.locals;
+    
+    if (req.user.role === 'student' && status !== undefined) {
+      if (HOLD_STATUSES.includes(status)) {
+        return res.status(403).json({ error: 'Only proctors and admins can pause or terminate an exam' });
+      }
+      if (await sessionStore.getHold(studentId)) {
+        return res.status(403).json({ error: 'Exam is on hold until a proctor resumes it' });
+      }
+    }
+    
+    if (req.user.role === 'admin' && (HOLD_STATUSES.includes(status) || (status && await sessionStore.getHold(studentId)))) {
+      await applyStudentStatus(studentId, status);
+    }
+    
+    const student = await sessionStore.updateStudent(studentId, {
+      status,
+      cameraActive,
+      screenSharing
+    });
     
-    if (req.app.locals.activeStudents?.[studentId]) {
-      req.app.locals.activeStudents[studentId] = {
-        ...req.app.locals.activeStudents[studentId],
-        status,
-        cameraActive,
-        screenSharing
-      };
+    if (student) {
+      io.to(student.roomId).emit('student-status-updated', student);
       
       res.json({
         message: 'Student status updated',
-        student: req.app.locals.activeStudents[studentId]
+        student: student
       });
     } else {
       res.status(404).json({ error: 'Student not found' });
@@ -1,68 +1,99 @@
 // routes/webrtc.js
 const express = require('express');
 const router = express.Router();
+const {
+  STREAM_TYPES,
+  requireAuth,
+  requireSelfOrRole,
+  requireStudentAccess,
+  requirePermission,
+  extractToken,
+  canPublish
+} = require('../utils/auth');
+const {
+  streamNameFor,
+  removeStreamPath,
+  buildStreamUrls
+} = require('../utils/streams');
+const { iceServersFor } = require('../utils/turn');
+const { INGEST_PROTOCOLS } = require('../utils/publishNegotiation');
+const { createLogger } = require('../utils/logger');
 
-// WebRTC signaling endpoints
-router.post('/signal', (req, res) => {
+const log = createLogger('whip');
+
+// WebRTC signaling endpoints, relayed to MediaMTX as WHIP/WHEP sessions
+// (utils/signaling.js). { type: 'offer' } answers with { sessionId, answer,
+// iceServers }; 'candidate' and 'hangup' name that sessionId.
+const sendSignalingError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  log.error(message, { error });
+  res.status(error.name === 'TimeoutError' || error.isUnavailable ? 504 : 500).json({ error: message });
+};
+
+router.post('/signal', requireAuth('student', 'admin'), async (req, res) => {
   try {
-    const { type, offer, candidate, studentId, streamType, roomId } = req.body;
-    
-    // MediaMTX server ke saath integration logic
-    // Yahan aap MediaMTX API calls kar sakte hain
-    
-    res.json({
-      message: 'Signaling data received',
-      type: type,
-      timestamp: new Date()
-    });
+    const result = await req.app.locals.signalingRelay.signal(req.user, req.body);
+    res.json({ ...result, timestamp: new Date() });
   } catch (error) {
-    res.status(500).json({ error: 'Signaling failed' });
+    sendSignalingError(res, error, 'Signaling failed');
   }
 });
 
-// Proctor signaling endpoint
-router.post('/proctor-signal', (req, res) => {
+// Proctor signaling endpoint: the offer names { targetStudent, streamType }
+router.post('/proctor-signal', requireAuth('proctor', 'admin'), requirePermission('monitor'), async (req, res) => {
   try {
-    const { type, offer, candidate, proctorId, targetStudent, streamType } = req.body;
-    
-    // Process proctor signaling data
-    res.json({
-      message: 'Proctor signaling processed',
-      type: type,
-      timestamp: new Date()
-    });
+    const result = await req.app.locals.signalingRelay.proctorSignal(req.user, req.body);
+    res.json({ ...result, timestamp: new Date() });
   } catch (error) {
-    res.status(500).json({ error: 'Proctor signaling failed' });
+    sendSignalingError(res, error, 'Proctor signaling failed');
   }
 });
 
-// Get WebRTC configuration
-router.get('/config', (req, res) => {
+// Get WebRTC configuration: STUN plus TURN with credentials issued to this
+// user - the same list signaling answers carry. Fetch it again before
+// expiresAt.
+router.get('/config', requireAuth(), (req, res) => {
   try {
-    const config = {
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' }
-      ],
-      mediaMTXUrl: process.env.MEDIAMTX_SERVER_URL || 'ws://localhost:8080/ws'
-    };
-    
-    res.json(config);
+    const { iceServers, expiresAt } = iceServersFor(req.user);
+    res.json({ iceServers, expiresAt });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch WebRTC config' });
   }
 });
 
 // Stream management endpoints
-router.post('/streams/:studentId/start', (req, res) => {
+router.post('/streams/:studentId/start', requireAuth(), requireSelfOrRole('studentId', 'admin'), async (req, res) => {
   try {
     const { studentId } = req.params;
-    const { streamType } = req.body;
+    const { streamType = 'camera' } = req.body;
+    const { mediamtx, sessionStore, preparePublishPath } = req.app.locals;
+    
+    if (!STREAM_TYPES.includes(streamType)) {
+      return res.status(400).json({ error: `streamType must be one of: ${STREAM_TYPES.join(', ')}` });
+    }
+    
+    const streamName = streamNameFor(studentId, streamType);
+    if (!(await canPublish(sessionStore, req.user, streamName))) {
+      return res.status(403).json({ error: `Not allowed to publish stream ${streamName}` });
+    }
+    const created = await preparePublishPath(streamName);
     
-    // Start stream logic with MediaMTX
+    if (!created) {
+      return res.status(503).json({
+        error: 'Failed to create stream path',
+        streamName
+      });
+    }
+    
+    const node = mediamtx.nodeFor(streamName);
     res.json({
       message: `${streamType} stream started for student ${studentId}`,
-      streamUrl: `ws://localhost:8080/ws/${studentId}/${streamType}`,
+      streamName,
+      streamType,
+      node: node.id,
+      urls: buildStreamUrls(req, streamName, { userId: req.user.id, token: extractToken(req), node }),
       timestamp: new Date()
     });
   } catch (error) {
@@ -70,18 +101,104 @@ router.post('/streams/:studentId/start', (req, res) => {
   }
 });
 
-router.post('/streams/:studentId/stop', (req, res) => {
+// Publish negotiation: body { streamType, capabilities: { webrtc, rtmp,
+// rtmps, srt }, attempts: [{ protocol, outcome, error }] }. Answers the
+// ingest options still worth trying, most preferred first, with URLs and
+// credentials for the student's path (utils/publishNegotiation.js).
+router.post('/streams/:studentId/negotiate', requireAuth(), requireSelfOrRole('studentId', 'admin'), async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { streamType = 'camera', capabilities = null, attempts = [] } = req.body;
+    const { mediamtx, sessionStore, publishNegotiator, metrics, preparePublishPath } = req.app.locals;
+
+    if (!STREAM_TYPES.includes(streamType)) {
+      return res.status(400).json({ error: `streamType must be one of: ${STREAM_TYPES.join(', ')}` });
+    }
+    if (capabilities !== null && typeof capabilities !== 'object') {
+      return res.status(400).json({ error: 'capabilities must be an object' });
+    }
+    if (!Array.isArray(attempts)) {
+      return res.status(400).json({ error: 'attempts must be an array' });
+    }
+    const unknown = attempts.find(attempt => !attempt || !INGEST_PROTOCOLS.includes(attempt.protocol));
+    if (unknown) {
+      return res.status(400).json({ error: `attempt protocol must be one of: ${INGEST_PROTOCOLS.join(', ')}` });
+    }
+
+    const streamName = streamNameFor(studentId, streamType);
+    if (!(await canPublish(sessionStore, req.user, streamName))) {
+      return res.status(403).json({ error: `Not allowed to publish stream ${streamName}` });
+    }
+    if (!(await preparePublishPath(streamName))) {
+      return res.status(503).json({ error: 'Failed to create stream path', streamName });
+    }
+
+    const node = mediamtx.nodeFor(streamName);
+    const token = extractToken(req);
+    const { options, skipped } = await publishNegotiator.negotiate(streamName, {
+      user: req.user,
+      token,
+      urls: buildStreamUrls(req, streamName, { userId: req.user.id, token, node }),
+      capabilities,
+      attempts
+    });
+
+    log.info('Publish negotiation', { streamName, options: options.map(option => option.protocol), skipped });
+    if (!options[0] || options[0].protocol !== 'whip') {
+      metrics.countFallback(options[0] && options[0].protocol);
+    }
+    res.json({
+      streamName,
+      streamType,
+      node: node.id,
+      options,
+      skipped,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    log.error('Publish negotiation failed', { error: error.message });
+    res.status(error.isUnavailable ? 503 : 500).json({ error: 'Failed to negotiate publishing', details: error.message });
+  }
+});
+
+// Transport each of the student's streams is actually published over
+router.get('/streams/:studentId/transports', requireAuth(), requireStudentAccess('studentId'), async (req, res) => {
+  try {
+    const transports = await req.app.locals.publishNegotiator.transportsFor(req.params.studentId);
+    res.json({ studentId: req.params.studentId, transports });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch stream transports' });
+  }
+});
+
+// Server-side cut-off: kicks the publisher and removes the path. Proctors
+// need the same permission as for pausing the exam. The room hears about it
+// through the stream monitor's 'stream-stopped', like any other stop.
+router.post('/streams/:studentId/stop', requireAuth(), requireStudentAccess('studentId', 'pause'), async (req, res) => {
   try {
     const { studentId } = req.params;
-    const { streamType } = req.body;
+    const { streamType = 'camera' } = req.body;
+    const { mediamtx } = req.app.locals;
+    
+    if (!STREAM_TYPES.includes(streamType)) {
+      return res.status(400).json({ error: `streamType must be one of: ${STREAM_TYPES.join(', ')}` });
+    }
+    
+    const streamName = streamNameFor(studentId, streamType);
+    const { kicked, removed } = await removeStreamPath(mediamtx, streamName);
+    
+    log.info('Stream stopped', { streamName, by: req.user.id, byRole: req.user.role, kicked, removed });
     
-    // Stop stream logic
     res.json({
       message: `${streamType} stream stopped for student ${studentId}`,
+      streamName,
+      publisherKicked: kicked,
+      pathRemoved: removed,
       timestamp: new Date()
     });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to stop stream' });
+    log.error('Stream stop failed', { error: error.message });
+    res.status(error.isUnavailable ? 503 : 500).json({ error: 'Failed to stop stream', details: error.message });
   }
 });
 
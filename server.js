@@ -4,28 +4,99 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
-const { spawn, execSync, exec } = require('child_process');
 require('dotenv').config();
 
+const { config } = require('./utils/config');
+const { writeMediaMTXConfig } = require('./utils/mediamtxConfig');
+
+const SessionStore = require('./utils/sessionStore');
+const MediaMTXManager = require('./utils/mediamtx');
+const MediaMTXSupervisor = require('./utils/mediamtxSupervisor');
+const MediaMTXFleet = require('./utils/mediamtxFleet');
+const { createStreamPathIfNeeded, removeStreamPath, streamNameFor } = require('./utils/streams');
+const StreamMonitor = require('./utils/streamMonitor');
+const IncidentLog = require('./utils/incidentLog');
+const { INCIDENT_ACTIONS } = IncidentLog;
+const ExamSessions = require('./utils/examSessions');
+const { ExamSessionError } = ExamSessions;
+const ExamScheduler = require('./utils/examScheduler');
+const ComplianceMonitor = require('./utils/complianceMonitor');
+const { applyExamRecording, RecordingRetention } = require('./utils/recordings');
+const ClipExporter = require('./utils/clips');
+const Lease = require('./utils/lease');
+const SignalingRelay = require('./utils/signaling');
+const PublishNegotiator = require('./utils/publishNegotiation');
+const RoomMosaics = require('./utils/roomMosaic');
+const SnapshotGrabber = require('./utils/snapshots');
+const Metrics = require('./utils/metrics');
+const { iceServersFor, iceServerLinks, mediamtxIceServers } = require('./utils/turn');
+const { createStorage } = require('./utils/storage');
+const { useSocketAdapter } = require('./utils/socketAdapter');
+const studentRoutes = require('./routes/students');
+const proctorRoutes = require('./routes/proctors');
+const webrtcRoutes = require('./routes/webrtc');
+const authRoutes = require('./routes/auth');
+const examRoutes = require('./routes/exams');
+const recordingRoutes = require('./routes/recordings');
+const clipRoutes = require('./routes/clips');
+const mediamtxHookRoutes = require('./routes/mediamtxHooks');
+const mediamtxRoutes = require('./routes/mediamtx');
+const hlsRoutes = require('./routes/hls');
+const loggingRoutes = require('./routes/logging');
+const { createLogger, withContext, requestContext, getLevels, setLevels } = require('./utils/logger');
+const {
+  socketAuth,
+  requireAuth,
+  requireStreamAccess,
+  AuthError,
+  checkProctorAccess,
+  serviceAuthHeaders,
+  parseStreamName,
+  getStudentRoomId,
+  sendAuthError,
+  STREAM_TYPES
+} = require('./utils/auth');
+
 const app = express();
 const server = http.createServer(app);
 
-// Railway environment variables
-const PORT = process.env.PORT || 3000;
-const FRONTEND_URL = process.env.FRONTEND_URL || 'https://mediamtx-frontend.vercel.app';
-const MEDIAMTX_HTTP_URL = process.env.MEDIAMTX_HTTP_URL || 'http://localhost:8889';
+// Subsystems whose levels can be changed at runtime (PATCH /api/v1/logging)
+const log = createLogger('server');
+const whipLog = createLogger('whip');
+const socketLog = createLogger('socket');
+const streamLog = createLogger('streams');
+const examLog = createLogger('exams');
+
+// Ports and upstream URLs come from utils/config.js (env vars / CONFIG_FILE)
+const PORT = config.port;
+const FRONTEND_URL = config.frontendUrl;
+const MEDIAMTX_API_URL = config.mediamtx.urls.api;
 
 // Middleware
 app.use(helmet());
-app.use(cors({
+const corsMiddleware = cors({
   origin: [FRONTEND_URL, 'http://localhost:3000'],
-  credentials: true
-}));
+  credentials: true,
+  // WHIP/WHEP clients read the session URL and ICE servers from these
+  exposedHeaders: ['Location', 'ETag', 'Link', 'Accept-Patch', 'X-Request-Id']
+});
+app.use((req, res, next) => {
+  // A WHIP/WHEP OPTIONS that is not a CORS preflight asks for the ICE
+  // servers and goes to the proxy below
+  if (req.method === 'OPTIONS' && !req.get('Access-Control-Request-Method') && /\/wh[ie]p$/.test(req.path)) {
+    return next();
+  }
+  corsMiddleware(req, res, next);
+});
 
-// ✅ IMPORTANT: Raw body parser for WHIP/WHEP requests
-app.use('/*/whip', express.text({ type: 'application/sdp', limit: '10mb' }));
-app.use('/*/whep', express.text({ type: 'application/sdp', limit: '10mb' }));
+// ✅ IMPORTANT: Raw body parser for WHIP/WHEP requests (offers, and ICE
+// candidates trickled to the session URL)
+const WEBRTC_BODY_TYPES = ['application/sdp', 'application/trickle-ice-sdpfrag'];
+app.use('/*/whip', express.text({ type: WEBRTC_BODY_TYPES, limit: '10mb' }));
+app.use('/*/whep', express.text({ type: WEBRTC_BODY_TYPES, limit: '10mb' }));
 app.use(express.json());
+// Request ids for the logs - after the body parsers, see utils/logger.js
+app.use(requestContext());
 
 // Socket.IO setup
 const io = socketIo(server, {
@@ -37,180 +108,251 @@ const io = socketIo(server, {
   transports: ['websocket', 'polling']
 });
 
-// MediaMTX Process Management
-let mediamtxProcess = null;
-
-const startMediaMTX = () => {
-  try {
-    console.log('🎥 Starting MediaMTX on Railway...');
-    
-    const mediamtxBinary = process.platform === 'win32' ? './mediamtx.exe' : './mediamtx';
-    
-    if (process.platform !== 'win32') {
-      try {
-        execSync('chmod +x ./mediamtx', { stdio: 'pipe' });
-        console.log('✅ MediaMTX binary permissions fixed');
-        
-        const fs = require('fs');
-        if (fs.existsSync('./mediamtx')) {
-          console.log('✅ MediaMTX binary file exists');
-        } else {
-          console.error('❌ MediaMTX binary file not found');
-          return;
-        }
-      } catch (chmodError) {
-        console.log('⚠️ Chmod failed, trying alternative method:', chmodError.message);
-      }
-    }
-    
-    mediamtxProcess = spawn(mediamtxBinary, ['mediamtx.yml'], {
-      cwd: __dirname,
-      stdio: 'pipe'
-    });
+// Storage - shared with the REST routers through app.locals. With several
+// replicas it has to be shared too (STORAGE_DRIVER=redis), and
+// SOCKET_ADAPTER=redis carries room broadcasts between them.
+const storage = createStorage();
+const sessionStore = new SessionStore(storage, {
+  instanceId: config.cluster.instanceId,
+  heartbeatInterval: config.cluster.heartbeatInterval,
+  instanceTimeout: config.cluster.instanceTimeout
+});
+const incidentLog = new IncidentLog(storage);
+app.locals.sessionStore = sessionStore;
+app.locals.incidentLog = incidentLog;
+
+// MediaMTX nodes. The fleet routes path-scoped API calls to the node that
+// owns the path, so everything below uses it like a single MediaMTX client.
+const mediamtx = new MediaMTXFleet({
+  nodes: config.mediamtx.nodes,
+  storage,
+  pollInterval: config.mediamtx.fleet.pollInterval,
+  bandwidthPerSession: config.mediamtx.fleet.bandwidthPerSession,
+  assignmentTtl: config.mediamtx.fleet.assignmentTtl
+});
+app.locals.mediamtx = mediamtx;
+
+// Control API client for the binary this process runs itself
+const localMediamtx = new MediaMTXManager({ apiUrl: MEDIAMTX_API_URL });
+
+// Runs the MediaMTX binary (restarts, probes, runtime config) with the YAML
+// rendered from config. MEDIAMTX_MANAGED=false when MediaMTX runs as its
+// own service.
+const mediamtxSupervisor = new MediaMTXSupervisor({
+  mediamtx: localMediamtx,
+  cwd: __dirname,
+  binary: config.mediamtx.binary,
+  configPath: config.mediamtx.configOutput,
+  managed: config.mediamtx.managed,
+  maxRestarts: config.mediamtx.maxRestarts
+});
+app.locals.mediamtxSupervisor = mediamtxSupervisor;
 
-    mediamtxProcess.stdout.on('data', (data) => {
-      console.log(`MediaMTX: ${data.toString().trim()}`);
-    });
+// Exam sessions and the scheduler that opens/closes them
+const examSessions = new ExamSessions(storage, sessionStore);
+const examScheduler = new ExamScheduler({
+  examSessions,
+  lease: new Lease({ storage, name: 'exam-scheduler', instanceId: sessionStore.instanceId, timeout: 15000 })
+});
+app.locals.examSessions = examSessions;
+app.locals.examScheduler = examScheduler;
+
+// Publishers get their path config before their offer or ingest URLs, so a
+// path an exam records is created recording. Switching recording on once
+// the path is live under all_others would have to wait until it stops.
+const preparePublishPath = async (streamName) => {
+  const parsed = parseStreamName(streamName);
+  const record = Boolean(parsed) && await examSessions.recordsStream(parsed.studentId, parsed.streamType);
+  return createStreamPathIfNeeded(mediamtx, streamName, { record });
+};
+app.locals.preparePublishPath = preparePublishPath;
+
+// Required-stream checks for students in running exams
+const complianceMonitor = new ComplianceMonitor({
+  mediamtx,
+  sessionStore,
+  examSessions,
+  interval: config.compliance.interval,
+  gracePeriod: config.compliance.gracePeriod
+});
+app.locals.complianceMonitor = complianceMonitor;
 
-    mediamtxProcess.stderr.on('data', (data) => {
-      console.error(`MediaMTX Error: ${data.toString().trim()}`);
-    });
+// Deletes recorded segments past RECORDING_RETENTION_HOURS
+const recordingRetention = new RecordingRetention({ mediamtx });
 
-    mediamtxProcess.on('close', (code) => {
-      console.log(`MediaMTX process exited with code ${code}`);
-      if (code !== 0 && code !== null) {
-        console.log('🔄 Attempting to restart MediaMTX...');
-        setTimeout(() => startMediaMTXAlternative(), 3000);
-      }
-    });
+// Clips exported from recordings around moments proctors mark
+const clipExporter = new ClipExporter({
+  storage,
+  mediamtx,
+  lease: new Lease({ storage, name: 'clip-exporter', instanceId: sessionStore.instanceId, timeout: 15000 })
+});
+app.locals.clipExporter = clipExporter;
+app.locals.io = io;
+
+// Authoritative stream lifecycle: polled from MediaMTX, pushed to the
+// student's room. Clients no longer announce their own streams.
+const streamMonitor = new StreamMonitor({
+  mediamtx,
+  interval: config.streams.pollInterval
+});
+app.locals.streamMonitor = streamMonitor;
+
+// Prometheus metrics for GET /metrics
+const metrics = new Metrics({
+  io,
+  sessionStore,
+  mediamtx,
+  mediamtxSupervisor,
+  streamMonitor,
+  settings: config.metrics
+});
+app.locals.metrics = metrics;
+
+// Offers/candidates from /api/v1/webrtc/signal, /proctor-signal and the
+// socket 'signal'/'proctor-signal' events, relayed as WHIP/WHEP sessions
+const signalingRelay = new SignalingRelay({
+  mediamtx,
+  sessionStore,
+  storage,
+  metrics,
+  preparePath: preparePublishPath,
+  sessionTtl: config.signaling.sessionTtl
+});
+app.locals.signalingRelay = signalingRelay;
+
+// Ingest options for students whose WHIP attempts fail, and the transport
+// each published stream ended up on
+const publishNegotiator = new PublishNegotiator({ mediamtx, storage });
+app.locals.publishNegotiator = publishNegotiator;
+
+// Per-room thumbnail walls published back into MediaMTX (MOSAIC_ENABLED)
+const roomMosaics = new RoomMosaics({
+  mediamtx,
+  sessionStore,
+  streamMonitor,
+  storage,
+  ffmpegPath: config.ffmpegPath,
+  settings: config.mosaic
+});
+app.locals.roomMosaics = roomMosaics;
+
+// JPEG preview frames of every live student stream (SNAPSHOTS_ENABLED)
+const snapshotGrabber = new SnapshotGrabber({
+  mediamtx,
+  streamMonitor,
+  ffmpegPath: config.ffmpegPath,
+  settings: config.snapshots
+});
+app.locals.snapshotGrabber = snapshotGrabber;
 
-    mediamtxProcess.on('error', (error) => {
-      console.error('❌ MediaMTX spawn error:', error);
-      if (error.code === 'EACCES') {
-        console.log('🔧 Permission denied. Trying alternative method...');
-        setTimeout(() => startMediaMTXAlternative(), 2000);
-      } else if (error.code === 'ENOENT') {
-        console.error('❌ MediaMTX binary not found. Please check if file exists.');
-      }
+const emitStreamEvent = async (event, path, extra = {}) => {
+  const parsed = parseStreamName(path.name);
+  if (!parsed) {
+    return;
+  }
+  try {
+    const roomId = await getStudentRoomId(sessionStore, parsed.studentId);
+    if (!roomId) {
+      return;
+    }
+    // Every replica polls MediaMTX and sees the same change, so each only
+    // tells its own sockets - otherwise rooms would get one copy per replica
+    io.local.to(roomId).emit(event, {
+      studentId: parsed.studentId,
+      streamType: parsed.streamType,
+      streamName: path.name,
+      ...extra,
+      timestamp: new Date()
     });
-
-    console.log('✅ MediaMTX process started successfully');
+    streamLog.info(event, { streamName: path.name, roomId, node: path.node });
   } catch (error) {
-    console.error('❌ MediaMTX start failed:', error);
-    startMediaMTXAlternative();
+    streamLog.error(`Failed to emit ${event}`, { streamName: path.name, error: error.message });
   }
 };
 
-const startMediaMTXAlternative = () => {
+streamMonitor.on('stream-published', async (path) => {
+  let transport = null;
   try {
-    console.log('🔄 Using alternative MediaMTX startup method...');
-    
-    const fs = require('fs');
-    if (!fs.existsSync('./mediamtx')) {
-      console.error('❌ MediaMTX binary not found for alternative method');
-      return;
-    }
-    
-    exec('chmod +x ./mediamtx', (chmodError) => {
-      if (chmodError) {
-        console.error('Alternative chmod failed:', chmodError);
-      } else {
-        console.log('✅ Permissions fixed with alternative method');
-      }
-      
-      const mtxProcess = exec('./mediamtx mediamtx.yml', (error, stdout, stderr) => {
-        if (error) {
-          console.error('❌ Alternative MediaMTX start failed:', error);
-          return;
-        }
-        if (stdout) console.log('MediaMTX stdout:', stdout);
-        if (stderr) console.error('MediaMTX stderr:', stderr);
-      });
-      
-      mediamtxProcess = mtxProcess;
-      console.log('✅ MediaMTX started with exec method');
-    });
-    
+    transport = (await publishNegotiator.recordTransport(path)).transport;
   } catch (error) {
-    console.error('❌ Alternative startup failed:', error);
+    streamLog.error('Failed to record the publish transport', { streamName: path.name, error: error.message });
+  }
+  emitStreamEvent('stream-published', path, {
+    viewUrl: `/hls/${path.name}/`,
+    hlsUrl: `/hls/${path.name}/index.m3u8`,
+    statusUrl: `/api/stream/${path.name}/status`,
+    source: path.source ? path.source.type : null,
+    transport,
+    tracks: path.tracks || []
+  });
+});
+
+// Cameras going live or away change the room mosaics' layouts
+const refreshMosaics = (path) => {
+  if (config.mosaic.enabled && path.name.endsWith('_camera')) {
+    roomMosaics.refresh();
+  }
+};
+streamMonitor.on('stream-published', refreshMosaics);
+
+// Exam paths that were live without a config of their own when recording
+// was switched on (utils/recordings.js enableRecording) get it now that
+// turning it on no longer drops a publisher
+const recordStoppedExamPath = async (path) => {
+  const parsed = parseStreamName(path.name);
+  if (!parsed) {
+    return;
+  }
+  const roomId = await getStudentRoomId(sessionStore, parsed.studentId);
+  const exam = roomId ? await examSessions.getByRoom(roomId) : null;
+  if (exam && exam.status === 'active' && exam.recording
+    && exam.roster.includes(parsed.studentId) && exam.requiredStreams.includes(parsed.streamType)) {
+    await applyExamRecording(mediamtx, exam, [parsed.studentId]);
   }
 };
 
-// Start MediaMTX with delay for Railway initialization
-setTimeout(() => {
-  startMediaMTX();
-}, 3000);
+streamMonitor.on('stream-stopped', (path) => {
+  refreshMosaics(path);
+  recordStoppedExamPath(path).catch(error => {
+    streamLog.error('Failed to update recording of stopped path', { streamName: path.name, error: error.message });
+  });
+  emitStreamEvent('stream-stopped', path);
+  signalingRelay.forgetPath(path.name).catch(error => {
+    whipLog.error('Failed to drop signaling sessions', { streamName: path.name, error: error.message });
+  });
+});
 
-// Storage
-let rooms = {};
-let socketToRoom = {};
-let activeStudents = {};
-let activeProctors = {};
+streamMonitor.on('viewer-joined', (path, reader) => {
+  emitStreamEvent('viewer-joined', path, { viewer: reader, viewers: (path.readers || []).filter(r => streamMonitor.isViewer(r)).length });
+});
 
-// ✅ NEW: Helper function to create stream path in MediaMTX
-const createStreamPathIfNeeded = async (streamName, streamType = 'camera') => {
-  try {
-    console.log(`🔧 Creating/verifying stream path: ${streamName}`);
-    
-    // First check if path already exists
-    const existingPathResponse = await fetch(`http://localhost:9997/v3/paths/get/${streamName}`);
-    if (existingPathResponse.ok) {
-      const pathData = await existingPathResponse.json();
-      console.log(`✅ Stream path already exists: ${streamName}`, pathData);
-      return true;
-    }
+streamMonitor.on('viewer-left', (path, reader) => {
+  emitStreamEvent('viewer-left', path, { viewer: reader, viewers: (path.readers || []).filter(r => streamMonitor.isViewer(r)).length });
+});
 
-    // Create new path
-    const createResponse = await fetch(`http://localhost:9997/v3/paths/add/${streamName}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        source: 'publisher',
-        sourceOnDemand: false,
-        overridePublisher: true,
-        record: false,
-        runOnReady: `echo "Stream ${streamName} ready for HLS"`,
-        runOnReadyRestart: true
-      })
-    });
+// MediaMTX callbacks (auth hook)
+app.use('/internal/mediamtx', mediamtxHookRoutes);
 
-    if (createResponse.ok) {
-      const result = await createResponse.json();
-      console.log(`✅ Stream path created successfully: ${streamName}`, result);
-      
-      // Initialize HLS endpoint after path creation
-      setTimeout(async () => {
-        try {
-          console.log(`🔄 Initializing HLS endpoint for: ${streamName}`);
-          await fetch(`http://localhost:8888/${streamName}/index.m3u8`);
-        } catch (initError) {
-          console.log(`⚠️ HLS initialization pending for ${streamName}:`, initError.message);
-        }
-      }, 2000);
-      
-      return true;
-    } else {
-      const errorText = await createResponse.text();
-      console.log(`⚠️ Path creation failed: ${createResponse.status} - ${errorText}`);
-      return false;
-    }
-  } catch (error) {
-    console.error(`❌ Stream path creation error for ${streamName}:`, error);
-    return false;
-  }
-};
+// REST API
+app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/students', studentRoutes);
+app.use('/api/v1/proctors', proctorRoutes);
+app.use('/api/v1/webrtc', webrtcRoutes);
+app.use('/api/v1/exams', examRoutes);
+app.use('/api/v1/recordings', recordingRoutes);
+app.use('/api/v1/clips', clipRoutes);
+app.use('/api/v1/mediamtx', mediamtxRoutes);
+app.use('/api/v1/logging', loggingRoutes);
 
 // ✅ NEW: Force create stream path API endpoint
-app.post('/api/stream/:streamName/create', async (req, res) => {
+app.post('/api/stream/:streamName/create', requireStreamAccess('publish'), async (req, res) => {
   try {
     const { streamName } = req.params;
     const { streamType = 'camera' } = req.body;
     
-    console.log(`🎯 Force creating stream: ${streamName} (type: ${streamType})`);
+    streamLog.info('Force creating stream', { streamName, streamType });
     
-    const created = await createStreamPathIfNeeded(streamName, streamType);
+    const created = await preparePublishPath(streamName);
     
     if (created) {
       res.json({
@@ -232,7 +374,7 @@ app.post('/api/stream/:streamName/create', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Stream creation API error:', error);
+    streamLog.error('Stream creation API error', { error });
     res.status(500).json({
       success: false,
       error: 'Stream creation failed',
@@ -241,15 +383,40 @@ app.post('/api/stream/:streamName/create', async (req, res) => {
   }
 });
 
-// ✅ ENHANCED WHIP with quick timeout and fallback stream creation
-app.post('/:streamName/whip', async (req, res) => {
+// WHIP/WHEP (RFC 9725) response headers passed back from MediaMTX. The
+// Location of the session MediaMTX created is rewritten to the matching
+// backend URL, so PATCH/DELETE come back through the proxy below. Given the
+// user, the ICE server Link headers are replaced with ones carrying that
+// user's TURN credentials (utils/turn.js).
+const WEBRTC_RESPONSE_HEADERS = ['ETag', 'Accept-Patch'];
+
+const copyWebRTCHeaders = (upstream, res, streamName, kind, user = null) => {
+  for (const name of WEBRTC_RESPONSE_HEADERS) {
+    const value = upstream.headers.get(name);
+    if (value) {
+      res.set(name, value);
+    }
+  }
+  const location = upstream.headers.get('Location');
+  if (location) {
+    const sessionId = new URL(location, 'http://mediamtx').pathname.split('/').pop();
+    res.set('Location', `/${streamName}/${kind}/${sessionId}`);
+  }
+  if (user) {
+    res.set('Link', iceServerLinks(iceServersFor(user).iceServers));
+  }
+};
+
+// ✅ ENHANCED WHIP with quick timeout. A failed attempt is recorded for the
+// path and the client is pointed at the publish negotiation endpoint, which
+// offers WebRTC over TCP, RTMP(S) and SRT instead.
+app.post('/:streamName/whip', requireStreamAccess('publish'), async (req, res) => {
   const startTime = Date.now();
   try {
     const { streamName } = req.params;
     const sdpOffer = req.body;
     
-    console.log(`📤 WHIP proxy request for stream: ${streamName}`);
-    console.log('SDP Offer length:', sdpOffer ? sdpOffer.length : 'undefined');
+    whipLog.debug('WHIP proxy request', { streamName, offerLength: sdpOffer ? sdpOffer.length : null });
     
     if (!sdpOffer || sdpOffer.trim().length === 0) {
       return res.status(400).json({ error: 'No SDP offer provided or empty SDP' });
@@ -260,14 +427,18 @@ app.post('/:streamName/whip', async (req, res) => {
     const timeout = setTimeout(() => controller.abort(), 10000); // Only 10 seconds
 
     try {
-      console.log(`🔄 Quick WebRTC attempt for ${streamName} (10s timeout)`);
-      
-      const response = await fetch(`http://localhost:8889/${streamName}/whip`, {
+      if (!(await preparePublishPath(streamName))) {
+        clearTimeout(timeout);
+        return res.status(503).json({ error: 'Failed to create stream path', streamName });
+      }
+      const node = mediamtx.nodeFor(streamName);
+      const response = await fetch(`${node.urls.webrtc}/${streamName}/whip`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/sdp',
           'Accept': 'application/sdp',
-          'User-Agent': 'Railway-MediaMTX-Proxy'
+          'User-Agent': 'Railway-MediaMTX-Proxy',
+          ...serviceAuthHeaders()
         },
         body: sdpOffer,
         signal: controller.signal
@@ -276,72 +447,62 @@ app.post('/:streamName/whip', async (req, res) => {
       clearTimeout(timeout);
       const responseTime = Date.now() - startTime;
 
-      console.log(`📥 MediaMTX WHIP response: ${response.status} (${responseTime}ms)`);
+      whipLog.debug('MediaMTX WHIP response', { streamName, node: node.id, status: response.status, responseTime });
 
       if (response.ok) {
         const answerSdp = await response.text();
-        console.log(`✅ WHIP success for ${streamName}, answer length:`, answerSdp.length);
-        
-        // ✅ Verify and ensure stream path exists
-        setTimeout(async () => {
-          await createStreamPathIfNeeded(streamName);
-        }, 2000);
+        whipLog.info('WHIP publish accepted', { streamName, node: node.id, responseTime });
+        metrics.observeWebRTC({ kind: 'whip', via: 'proxy', outcome: 'success', seconds: responseTime / 1000 });
         
+        copyWebRTCHeaders(response, res, streamName, 'whip', req.user);
         res.set({
           'Content-Type': 'application/sdp',
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Methods': 'POST, OPTIONS',
-          'Access-Control-Allow-Headers': 'Content-Type'
+          'Access-Control-Allow-Methods': 'POST, PATCH, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match'
         });
-        res.send(answerSdp);
+        res.status(response.status).send(answerSdp);
         
       } else {
         const errorText = await response.text();
-        console.error(`❌ WHIP failed: ${response.status} - ${errorText}`);
-        throw new Error(`WebRTC failed: ${response.status} - ${errorText}`);
+        const rejection = new Error(`WebRTC failed: ${response.status} - ${errorText}`);
+        rejection.status = response.status;
+        throw rejection;
       }
 
     } catch (fetchError) {
       clearTimeout(timeout);
       const responseTime = Date.now() - startTime;
+      const timedOut = fetchError.name === 'AbortError';
       
-      console.log(`⚠️ WebRTC failed for ${streamName} after ${responseTime}ms: ${fetchError.message}`);
-      console.log(`🔄 Creating fallback stream path for HLS viewing...`);
+      whipLog.warn('WHIP publish failed', { streamName, responseTime, timedOut, status: fetchError.status, error: fetchError.message });
+      metrics.observeWebRTC({
+        kind: 'whip',
+        via: 'proxy',
+        outcome: timedOut ? 'timeout' : fetchError.status ? 'rejected' : 'error',
+        seconds: responseTime / 1000
+      });
       
-      // ✅ CRITICAL: Always create stream path for HLS even if WebRTC failed
       try {
-        const streamCreated = await createStreamPathIfNeeded(streamName);
-        
-        if (streamCreated) {
-          console.log(`✅ Fallback stream path created for ${streamName}`);
-          
-          res.status(202).json({ 
-            message: 'WebRTC failed but stream path created for HLS viewing',
-            webrtcFailed: true,
-            webrtcError: fetchError.message,
-            hlsUrl: `/hls/${streamName}/index.m3u8`,
-            viewUrl: `/hls/${streamName}/`,
-            statusUrl: `/api/stream/${streamName}/status`,
-            fallbackCreated: true,
-            responseTime: responseTime
-          });
-        } else {
-          throw new Error('Both WebRTC and fallback stream creation failed');
-        }
-        
-      } catch (fallbackError) {
-        console.error(`❌ Fallback stream creation also failed for ${streamName}:`, fallbackError);
-        res.status(503).json({
-          error: 'Both WebRTC and fallback stream creation failed',
-          webrtcError: fetchError.message,
-          fallbackError: fallbackError.message,
-          streamName: streamName
-        });
+        await publishNegotiator.recordAttempt(streamName, { protocol: 'whip', error: fetchError.message, source: 'whip-proxy' });
+      } catch (recordError) {
+        whipLog.error('Failed to record the WHIP attempt', { streamName, error: recordError.message });
       }
+      
+      const parsed = parseStreamName(streamName);
+      res.status(timedOut ? 504 : 502).json({
+        error: timedOut ? 'WebRTC publish timed out' : 'WebRTC publish failed',
+        webrtcError: fetchError.message,
+        streamName,
+        // POST { streamType, capabilities } there for the next ingest option
+        negotiateUrl: parsed ? `/api/v1/webrtc/streams/${parsed.studentId}/negotiate` : null,
+        streamType: parsed ? parsed.streamType : null,
+        responseTime
+      });
     }
 
   } catch (error) {
-    console.error('❌ WHIP proxy error:', error);
+    whipLog.error('WHIP proxy error', { error });
     res.status(503).json({ 
       error: 'MediaMTX WHIP service unavailable', 
       details: error.message,
@@ -351,22 +512,25 @@ app.post('/:streamName/whip', async (req, res) => {
 });
 
 // ✅ WHEP endpoint proxy (unchanged but with timeout)
-app.post('/:streamName/whep', async (req, res) => {
+app.post('/:streamName/whep', requireStreamAccess('read'), async (req, res) => {
+  const startTime = Date.now();
+  const observe = outcome => metrics.observeWebRTC({ kind: 'whep', via: 'proxy', outcome, seconds: (Date.now() - startTime) / 1000 });
   try {
     const { streamName } = req.params;
     const sdpOffer = req.body;
     
-    console.log(`📥 WHEP proxy request for stream: ${streamName}`);
+    whipLog.debug('WHEP proxy request', { streamName });
     
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 15000);
 
-    const response = await fetch(`http://localhost:8889/${streamName}/whep`, {
+    const response = await fetch(`${mediamtx.nodeFor(streamName).urls.webrtc}/${streamName}/whep`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/sdp',
         'Accept': 'application/sdp',
-        'User-Agent': 'Railway-MediaMTX-Proxy'
+        'User-Agent': 'Railway-MediaMTX-Proxy',
+        ...serviceAuthHeaders()
       },
       body: sdpOffer,
       signal: controller.signal
@@ -376,233 +540,127 @@ app.post('/:streamName/whep', async (req, res) => {
 
     if (response.ok) {
       const answerSdp = await response.text();
-      console.log(`✅ WHEP proxy success for ${streamName}`);
+      whipLog.info('WHEP playback accepted', { streamName, responseTime: Date.now() - startTime });
+      observe('success');
       
+      copyWebRTCHeaders(response, res, streamName, 'whep', req.user);
       res.set({
         'Content-Type': 'application/sdp',
         'Access-Control-Allow-Origin': '*'
       });
-      res.send(answerSdp);
+      res.status(response.status).send(answerSdp);
     } else {
       const errorText = await response.text();
-      console.error(`❌ WHEP proxy failed for ${streamName}: ${response.status} - ${errorText}`);
+      whipLog.warn('WHEP playback rejected', { streamName, status: response.status, error: errorText });
+      observe('rejected');
       res.status(response.status).send(errorText);
     }
   } catch (error) {
-    console.error('❌ WHEP proxy error:', error);
+    whipLog.error('WHEP proxy error', { error });
+    observe(error.name === 'AbortError' ? 'timeout' : 'error');
     res.status(503).json({ error: 'MediaMTX WHEP service unavailable' });
   }
 });
 
-// ✅ ENHANCED HLS PROXY with better error handling
-
-// HLS Master Playlist (index.m3u8)
-app.get('/hls/:streamName/index.m3u8', async (req, res) => {
-  try {
-    const { streamName } = req.params;
-    const targetUrl = `http://localhost:8888/${streamName}/index.m3u8`;
-    
-    console.log(`📺 HLS Master playlist request: ${targetUrl}`);
-    
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
-
-    const response = await fetch(targetUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/vnd.apple.mpegurl,*/*',
-        'User-Agent': 'Railway-HLS-Proxy'
-      },
-      signal: controller.signal
-    });
-
-    clearTimeout(timeout);
-
-    if (response.ok) {
-      const playlist = await response.text();
-      console.log(`✅ HLS Master playlist success for ${streamName}`);
-      console.log('Playlist content length:', playlist.length);
-      
-      res.set({
-        'Content-Type': 'application/vnd.apple.mpegurl',
-        'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'no-cache, no-store, must-revalidate',
-        'Pragma': 'no-cache',
-        'Expires': '0'
-      });
-      res.send(playlist);
-    } else {
-      console.error(`❌ HLS Master playlist failed: ${response.status}`);
-      
-      // ✅ Try to create stream path if playlist not found
-      if (response.status === 404) {
-        console.log(`🔄 Attempting to create missing stream path: ${streamName}`);
-        try {
-          await createStreamPathIfNeeded(streamName);
-          res.status(404).json({
-            error: `HLS stream ${streamName} not available yet`,
-            message: 'Stream path created, please try again in a few seconds',
-            retryAfter: 5,
-            statusUrl: `/api/stream/${streamName}/status`
-          });
-        } catch (createError) {
-          res.status(404).send(`HLS stream ${streamName} not available`);
-        }
-      } else {
-        res.status(response.status).send(`HLS stream ${streamName} error: ${response.status}`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ HLS Master playlist error:', error);
-    if (error.name === 'AbortError') {
-      res.status(408).send('HLS playlist request timeout');
-    } else {
-      res.status(503).send('HLS service unavailable');
-    }
-  }
-});
-
-// HLS Sub-playlists (segment playlists)
-app.get('/hls/:streamName/*.m3u8', async (req, res) => {
-  try {
-    const { streamName } = req.params;
-    const playlistFile = req.path.split('/').pop();
-    const targetUrl = `http://localhost:8888/${streamName}/${playlistFile}`;
-    
-    console.log(`📺 HLS Sub-playlist request: ${targetUrl}`);
-    
-    const response = await fetch(targetUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': 'application/vnd.apple.mpegurl,*/*',
-        'User-Agent': 'Railway-HLS-Proxy'
-      },
-      timeout: 6000
+// ✅ HLS proxy: streamed segments/parts, LL-HLS blocking reloads and
+// rewritten playlists (routes/hls.js)
+app.use('/hls', hlsRoutes);
+
+// Stream snapshots (utils/snapshots.js): the latest JPEG frame, or
+// ?frame=<id> for an older one still in the ring
+const snapshotUrl = (streamName, frame) => `/api/stream/${streamName}/snapshot?frame=${frame.id}`;
+
+app.get('/api/stream/:streamName/snapshot', requireStreamAccess('read'), (req, res) => {
+  const { streamName } = req.params;
+  const frame = snapshotGrabber.getFrame(streamName, req.query.frame || null);
+  if (!frame) {
+    return res.status(404).json({
+      error: req.query.frame ? `Snapshot ${req.query.frame} of ${streamName} is no longer kept` : `No snapshot of ${streamName} yet`,
+      snapshotsEnabled: config.snapshots.enabled
     });
-
-    if (response.ok) {
-      const playlist = await response.text();
-      console.log(`✅ HLS Sub-playlist success: ${playlistFile}`);
-      
-      res.set({
-        'Content-Type': 'application/vnd.apple.mpegurl',
-        'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'max-age=1'
-      });
-      res.send(playlist);
-    } else {
-      console.error(`❌ HLS Sub-playlist failed: ${response.status}`);
-      res.status(response.status).send(`Playlist ${playlistFile} not found`);
-    }
-  } catch (error) {
-    console.error('❌ HLS Sub-playlist error:', error);
-    res.status(503).send('Sub-playlist unavailable');
   }
+  res.set({
+    'Content-Type': 'image/jpeg',
+    'Last-Modified': frame.takenAt.toUTCString(),
+    'X-Snapshot-Id': frame.id,
+    // A frame id never changes; "latest" does every interval
+    'Cache-Control': req.query.frame ? 'private, max-age=3600, immutable' : 'private, no-cache'
+  });
+  res.send(frame.jpeg);
 });
 
-// HLS Video Segments (.ts files)
-app.get('/hls/:streamName/*.ts', async (req, res) => {
+// Latest snapshot of every connected student's streams in a room
+app.get('/api/rooms/:roomId/snapshots', requireAuth('proctor', 'admin'), async (req, res) => {
   try {
-    const { streamName } = req.params;
-    const segmentFile = req.path.split('/').pop();
-    const targetUrl = `http://localhost:8888/${streamName}/${segmentFile}`;
-    
-    console.log(`📺 HLS Segment request: ${targetUrl}`);
-    
-    const response = await fetch(targetUrl, {
-      method: 'GET',
-      timeout: 12000
-    });
-
-    if (response.ok) {
-      const segment = await response.buffer();
-      console.log(`✅ HLS Segment success: ${segmentFile} (${segment.length} bytes)`);
-      
-      res.set({
-        'Content-Type': 'video/MP2T',
-        'Access-Control-Allow-Origin': '*',
-        'Cache-Control': 'max-age=3600',
-        'Content-Length': segment.length
-      });
-      res.send(segment);
-    } else {
-      console.error(`❌ HLS Segment failed: ${response.status}`);
-      res.status(response.status).send(`Segment ${segmentFile} not found`);
+    const { roomId } = req.params;
+    if (req.user.role === 'proctor') {
+      try {
+        await checkProctorAccess(sessionStore, req.user.id, { roomId });
+      } catch (authError) {
+        return sendAuthError(res, authError);
+      }
     }
-  } catch (error) {
-    console.error('❌ HLS Segment error:', error);
-    res.status(503).send('Segment unavailable');
-  }
-});
 
-// ✅ Generic HLS catch-all for other files
-app.get('/hls/:streamName/*', async (req, res) => {
-  try {
-    const { streamName } = req.params;
-    const filePath = req.path.replace(`/hls/${streamName}/`, '');
-    const targetUrl = `http://localhost:8888/${streamName}/${filePath}`;
-    
-    console.log(`📺 HLS Generic request: ${targetUrl}`);
-    
-    const response = await fetch(targetUrl, {
-      method: 'GET',
-      headers: {
-        'Accept': req.headers.accept || '*/*',
-        'User-Agent': 'Railway-HLS-Proxy'
-      }
+    const students = await sessionStore.getRoomStudents(roomId);
+    const snapshots = students.flatMap(student => STREAM_TYPES.map((streamType) => {
+      const streamName = streamNameFor(student.id, streamType);
+      const frames = snapshotGrabber.listFrames(streamName);
+      return frames.length === 0 ? null : {
+        studentId: student.id,
+        name: student.name || null,
+        streamType,
+        streamName,
+        lastFrameAt: frames[0].takenAt,
+        url: snapshotUrl(streamName, frames[0]),
+        frames: frames.map(frame => ({ ...frame, url: snapshotUrl(streamName, frame) }))
+      };
+    }).filter(Boolean));
+
+    res.json({
+      roomId,
+      snapshotsEnabled: config.snapshots.enabled,
+      interval: config.snapshots.interval,
+      snapshots,
+      timestamp: new Date()
     });
-
-    if (response.ok) {
-      const contentType = response.headers.get('content-type') || 'application/octet-stream';
-      const data = await response.buffer();
-      
-      console.log(`✅ HLS Generic success: ${filePath} (${data.length} bytes)`);
-      
-      res.set({
-        'Content-Type': contentType,
-        'Access-Control-Allow-Origin': '*',
-        'Cache-Control': filePath.endsWith('.m3u8') ? 'no-cache' : 'max-age=3600'
-      });
-      res.send(data);
-    } else {
-      console.error(`❌ HLS Generic failed: ${response.status}`);
-      res.status(response.status).send(`File ${filePath} not available`);
-    }
   } catch (error) {
-    console.error('❌ HLS Generic error:', error);
-    res.status(503).send('HLS file unavailable');
+    log.error('Room snapshots failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch room snapshots' });
   }
 });
 
 // ✅ ENHANCED Stream Status API
-app.get('/api/stream/:streamName/status', async (req, res) => {
+app.get('/api/stream/:streamName/status', requireStreamAccess('read'), async (req, res) => {
   try {
     const { streamName } = req.params;
     
-    console.log(`🔍 Stream status check: ${streamName}`);
+    streamLog.debug('Stream status check', { streamName });
     
     // Check MediaMTX paths
-    const pathsResponse = await fetch('http://localhost:9997/v3/paths/list', { timeout: 5000 });
-    if (!pathsResponse.ok) {
-      return res.status(503).json({ 
-        error: 'MediaMTX API unavailable',
-        streamName: streamName
-      });
+    let streamPath = null;
+    try {
+      streamPath = await mediamtx.getPath(streamName);
+    } catch (apiError) {
+      if (!apiError.isNotFound) {
+        streamLog.error('MediaMTX API error', { streamName, error: apiError.message });
+        return res.status(503).json({ 
+          error: 'MediaMTX API unavailable',
+          streamName: streamName
+        });
+      }
     }
     
-    const pathsData = await pathsResponse.json();
-    const streamPath = pathsData.items && pathsData.items.find(item => item.name === streamName);
-    
     if (streamPath) {
       // Check HLS availability
       try {
-        const hlsResponse = await fetch(`http://localhost:8888/${streamName}/index.m3u8`, { 
+        const hlsResponse = await fetch(`${mediamtx.nodeFor(streamName).urls.hls}/${streamName}/index.m3u8`, { 
           method: 'HEAD',
-          timeout: 3000 
+          headers: serviceAuthHeaders(),
+          signal: AbortSignal.timeout(3000)
         });
         const hlsAvailable = hlsResponse.ok;
         
-        console.log(`✅ Stream found: ${streamName} - Ready: ${streamPath.ready}, HLS: ${hlsAvailable}`);
+        streamLog.debug('Stream found', { streamName, ready: streamPath.ready, hlsAvailable });
         
         res.json({
           exists: true,
@@ -611,6 +669,7 @@ app.get('/api/stream/:streamName/status', async (req, res) => {
           hlsAvailable,
           hlsUrl: `/hls/${streamName}/index.m3u8`,
           viewUrl: `/hls/${streamName}/`,
+          lastFrameAt: snapshotGrabber.lastFrameAt(streamName),
           pathInfo: {
             name: streamPath.name,
             source: streamPath.source,
@@ -622,31 +681,33 @@ app.get('/api/stream/:streamName/status', async (req, res) => {
           timestamp: new Date()
         });
       } catch (hlsError) {
-        console.log(`⚠️ HLS check failed for ${streamName}:`, hlsError.message);
+        streamLog.debug('HLS check failed', { streamName, error: hlsError.message });
         res.json({
           exists: true,
           streamName,
           ready: streamPath.ready || false,
           hlsAvailable: false,
           hlsError: hlsError.message,
+          lastFrameAt: snapshotGrabber.lastFrameAt(streamName),
           message: 'Stream exists but HLS not ready',
           timestamp: new Date()
         });
       }
     } else {
-      console.log(`❌ Stream not found: ${streamName}`);
+      streamLog.debug('Stream not found', { streamName });
       res.json({
         exists: false,
         streamName,
         ready: false,
         hlsAvailable: false,
+        lastFrameAt: snapshotGrabber.lastFrameAt(streamName),
         message: 'Stream not found in MediaMTX paths',
         createUrl: `/api/stream/${streamName}/create`,
         timestamp: new Date()
       });
     }
   } catch (error) {
-    console.error('Stream status check error:', error);
+    streamLog.error('Stream status check error', { error });
     res.status(500).json({ 
       error: 'Stream status check failed',
       details: error.message,
@@ -656,210 +717,586 @@ app.get('/api/stream/:streamName/status', async (req, res) => {
 });
 
 // MediaMTX API proxy
-app.get('/v3/*', async (req, res) => {
+app.get('/v3/*', requireAuth('admin'), async (req, res) => {
   try {
-    const apiPath = req.originalUrl;
-    const targetUrl = `http://localhost:9997${apiPath}`;
-    
-    console.log(`🔧 API proxy request: ${targetUrl}`);
+    // ?node= picks the MediaMTX node (default: the first one)
+    const { node, ...query } = req.query;
+    const search = new URLSearchParams(query).toString();
+    const apiPath = `${req.path}${search ? `?${search}` : ''}`;
     
-    const response = await fetch(targetUrl, {
-      timeout: 5000
-    });
+    log.debug('MediaMTX API proxy request', { apiPath, node });
     
-    if (response.ok) {
-      const data = await response.json();
-      res.json(data);
+    const data = await mediamtx.request('GET', apiPath, { node });
+    res.json(data);
+  } catch (error) {
+    log.error('MediaMTX API proxy error', { error: error.message });
+    if (error.status) {
+      res.status(error.status).json({ error: 'API request failed' });
     } else {
-      res.status(response.status).json({ error: 'API request failed' });
+      res.status(503).json({ error: 'MediaMTX API unavailable' });
     }
-  } catch (error) {
-    console.error('❌ API proxy error:', error);
-    res.status(503).json({ error: 'MediaMTX API unavailable' });
   }
 });
 
-// CORS preflight handling
-app.options('/:streamName/whip', (req, res) => {
-  res.set({
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Accept',
-    'Access-Control-Max-Age': '86400'
-  });
-  res.sendStatus(200);
-});
+// WHIP/WHEP OPTIONS (CORS preflights are answered by the cors middleware):
+// the ICE servers come back as Link headers before the client makes its
+// offer. WHIP asks the node the path will be published on.
+const proxyWebRTCOptions = (kind) => async (req, res) => {
+  try {
+    const { streamName } = req.params;
+    const node = kind === 'whip' ? await mediamtx.assign(streamName) : mediamtx.nodeFor(streamName);
+    const response = await fetch(`${node.urls.webrtc}/${streamName}/${kind}`, {
+      method: 'OPTIONS',
+      headers: {
+        'User-Agent': 'Railway-MediaMTX-Proxy',
+        ...serviceAuthHeaders()
+      },
+      signal: AbortSignal.timeout(10000)
+    });
 
-app.options('/:streamName/whep', (req, res) => {
-  res.set({
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Accept',
-    'Access-Control-Max-Age': '86400'
-  });
-  res.sendStatus(200);
-});
+    copyWebRTCHeaders(response, res, streamName, kind, req.user);
+    res.set('Access-Control-Allow-Origin', '*');
+    res.status(response.status).end();
+  } catch (error) {
+    whipLog.error(`${kind.toUpperCase()} OPTIONS proxy error`, { streamName: req.params.streamName, error: error.message });
+    res.status(503).json({ error: `MediaMTX ${kind.toUpperCase()} service unavailable` });
+  }
+};
 
-// Socket connection handling
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+app.options('/:streamName/whip', requireStreamAccess('publish'), proxyWebRTCOptions('whip'));
+app.options('/:streamName/whep', requireStreamAccess('read'), proxyWebRTCOptions('whep'));
 
-  socket.on('join-as-student', (data) => {
-    const { studentId, roomId, name } = data;
-    
-    socket.join(roomId);
-    socketToRoom[socket.id] = { roomId, role: 'student', userId: studentId };
-    
-    activeStudents[studentId] = {
-      id: studentId,
-      name: name,
-      socketId: socket.id,
-      roomId: roomId,
-      status: 'online',
-      joinedAt: new Date()
+// WHIP/WHEP session resource (the rewritten Location): PATCH trickles ICE
+// candidates or restarts ICE, DELETE ends the session. If-Match is passed
+// through so MediaMTX can check the ETag.
+const proxyWebRTCSession = (kind) => async (req, res) => {
+  const { streamName, sessionId } = req.params;
+  try {
+    const headers = {
+      'User-Agent': 'Railway-MediaMTX-Proxy',
+      ...serviceAuthHeaders()
     };
+    for (const name of ['Content-Type', 'If-Match']) {
+      if (req.get(name)) {
+        headers[name] = req.get(name);
+      }
+    }
+
+    const node = mediamtx.nodeFor(streamName);
+    const response = await fetch(`${node.urls.webrtc}/${streamName}/${kind}/${encodeURIComponent(sessionId)}`, {
+      method: req.method,
+      headers,
+      body: req.method === 'PATCH' && typeof req.body === 'string' ? req.body : undefined,
+      signal: AbortSignal.timeout(10000)
+    });
 
-    if (!rooms[roomId]) {
-      rooms[roomId] = { students: [], proctors: [] };
+    if (req.method === 'DELETE' && response.ok) {
+      whipLog.info(`${kind.toUpperCase()} session closed`, { kind, sessionId, streamName });
+    } else if (!response.ok) {
+      whipLog.warn(`${kind.toUpperCase()} ${req.method} failed`, { kind, sessionId, streamName, status: response.status });
     }
-    
-    const existingIndex = rooms[roomId].students.findIndex(s => s.id === studentId);
-    if (existingIndex >= 0) {
-      rooms[roomId].students[existingIndex] = activeStudents[studentId];
+
+    copyWebRTCHeaders(response, res, streamName, kind, req.user);
+    res.set('Access-Control-Allow-Origin', '*');
+    const contentType = response.headers.get('Content-Type');
+    if (contentType) {
+      res.set('Content-Type', contentType);
+    }
+    const body = await response.text();
+    if (body) {
+      res.status(response.status).send(body);
     } else {
-      rooms[roomId].students.push(activeStudents[studentId]);
+      res.status(response.status).end();
+    }
+  } catch (error) {
+    whipLog.error(`${kind.toUpperCase()} session proxy error`, { sessionId, streamName, error: error.message });
+    res.status(503).json({ error: `MediaMTX ${kind.toUpperCase()} service unavailable` });
+  }
+};
+
+app.patch('/:streamName/whip/:sessionId', requireStreamAccess('publish'), proxyWebRTCSession('whip'));
+app.delete('/:streamName/whip/:sessionId', requireStreamAccess('publish'), proxyWebRTCSession('whip'));
+app.patch('/:streamName/whep/:sessionId', requireStreamAccess('read'), proxyWebRTCSession('whep'));
+app.delete('/:streamName/whep/:sessionId', requireStreamAccess('read'), proxyWebRTCSession('whep'));
+
+// Proctor-only channel per room, for things students must not receive
+const proctorChannel = (roomId) => `proctors:${roomId}`;
+app.locals.proctorChannel = proctorChannel;
+
+// Pausing or terminating puts a hold on the student that blocks new
+// publishing (canPublish in utils/auth.js). A pause lasts until they are
+// resumed or the exam ends; a termination until an admin sets another
+// status. Terminating also cuts their streams and, once the proctor action
+// has reached them, drops their socket.
+const applyStudentStatus = async (studentId, status) => {
+  if (status === 'paused' || status === 'terminated') {
+    await sessionStore.setHold(studentId, { status });
+  } else {
+    await sessionStore.clearHold(studentId);
+  }
+  const student = await sessionStore.updateStudent(studentId, { status });
+
+  if (status === 'terminated') {
+    for (const streamType of STREAM_TYPES) {
+      const streamName = streamNameFor(studentId, streamType);
+      try {
+        await removeStreamPath(mediamtx, streamName);
+      } catch (error) {
+        examLog.error('Could not stop stream of terminated student', { studentId, streamName, error: error.message });
+      }
+    }
+    if (student) {
+      setTimeout(() => io.in(student.socketId).disconnectSockets(true), 1000);
+    }
+  }
+  return student;
+};
+app.locals.applyStudentStatus = applyStudentStatus;
+
+// Proctor action (flag/warn/pause/resume/terminate) against a student.
+// Records the incident, delivers it to the student's socket and tells the
+// room's proctors. Throws AuthError when the proctor may not do this.
+const performProctorAction = async (proctorId, event, { studentId, reason, severity, streamType, streamTimestamp }) => {
+  const action = INCIDENT_ACTIONS[event];
+  const roomId = await getStudentRoomId(sessionStore, studentId);
+  if (!roomId) {
+    throw new AuthError(404, 'Student not found');
+  }
+  await checkProctorAccess(sessionStore, proctorId, { roomId, permission: action.permission });
+  if (action.studentStatus) {
+    const hold = await sessionStore.getHold(studentId);
+    if (hold && hold.status === 'terminated') {
+      throw new AuthError(403, 'Exam was terminated - only an admin can reinstate the student');
     }
+  }
+
+  let incident = await incidentLog.record({
+    type: action.type,
+    studentId,
+    roomId,
+    proctorId,
+    reason,
+    severity,
+    streamType,
+    streamTimestamp
+  });
 
-    socket.to(roomId).emit('student-joined', activeStudents[studentId]);
-    socket.emit('room-info', {
-      roomId: roomId,
-      studentsCount: rooms[roomId].students.length,
-      proctorsCount: rooms[roomId].proctors.length
+  if (action.studentStatus) {
+    await applyStudentStatus(studentId, action.studentStatus);
+  }
+
+  const student = await sessionStore.getStudent(studentId);
+  if (student) {
+    incident = await incidentLog.markDelivered(incident.id);
+    io.to(student.socketId).emit('proctor-action', incident);
+  }
+
+  io.to(proctorChannel(roomId)).emit('incident-created', incident);
+  examLog.info('Proctor action', { action: action.type, studentId, proctorId, roomId, severity: incident.severity });
+  return incident;
+};
+
+// Exam lifecycle -> room notifications. When the window closes every
+// student stream in the room is cut and the room is emptied.
+examScheduler.on('exam-started', (session) => {
+  if (session.recording) {
+    applyExamRecording(mediamtx, session).catch(error => {
+      examLog.error('Could not enable recording at exam start', { examId: session.id, error: error.message });
     });
+  }
 
-    console.log(`👨‍🎓 Student ${studentId} joined room ${roomId}`);
+  io.to(session.roomId).emit('exam-started', {
+    examId: session.id,
+    roomId: session.roomId,
+    title: session.title,
+    scheduledEnd: session.scheduledEnd,
+    timestamp: new Date()
   });
+});
 
-  socket.on('join-as-proctor', (data) => {
-    const { proctorId, roomId, name } = data;
-    
-    socket.join(roomId);
-    socketToRoom[socket.id] = { roomId, role: 'proctor', userId: proctorId };
-    
-    activeProctors[proctorId] = {
-      id: proctorId,
-      name: name,
-      socketId: socket.id,
-      roomId: roomId,
-      status: 'monitoring',
-      joinedAt: new Date()
-    };
+examScheduler.on('exam-ended', async (session) => {
+  const { roomId } = session;
 
-    if (!rooms[roomId]) {
-      rooms[roomId] = { students: [], proctors: [] };
+  io.to(roomId).emit('exam-ended', {
+    examId: session.id,
+    roomId,
+    status: session.status,
+    reason: session.endReason,
+    timestamp: new Date()
+  });
+
+  // Pauses end with the exam; terminations stay until an admin lifts them
+  for (const studentId of session.roster) {
+    try {
+      const hold = await sessionStore.getHold(studentId);
+      if (hold && hold.status !== 'terminated') {
+        await sessionStore.clearHold(studentId);
+      }
+    } catch (error) {
+      examLog.error('Could not clear hold at exam end', { examId: session.id, studentId, error: error.message });
     }
-    
-    const existingIndex = rooms[roomId].proctors.findIndex(p => p.id === proctorId);
-    if (existingIndex >= 0) {
-      rooms[roomId].proctors[existingIndex] = activeProctors[proctorId];
-    } else {
-      rooms[roomId].proctors.push(activeProctors[proctorId]);
+    for (const streamType of session.requiredStreams) {
+      const streamName = streamNameFor(studentId, streamType);
+      try {
+        await removeStreamPath(mediamtx, streamName);
+      } catch (error) {
+        examLog.error('Could not stop stream at exam end', { examId: session.id, streamName, error: error.message });
+      }
     }
+  }
+
+  // Give clients a moment to receive exam-ended before dropping them
+  setTimeout(() => {
+    io.in(roomId).disconnectSockets(true);
+    examLog.info('Room closed', { examId: session.id, roomId });
+  }, 1000);
+});
 
-    socket.emit('active-students', rooms[roomId].students);
-    console.log(`👨‍🏫 Proctor ${proctorId} joined room ${roomId}`);
+// Compliance problems go to the room's proctors only. Like the stream
+// events, every replica runs its own monitor and notifies its own sockets.
+complianceMonitor.on('compliance-violation', (violation) => {
+  io.local.to(proctorChannel(violation.roomId)).emit('compliance-violation', {
+    ...violation,
+    timestamp: new Date()
   });
+  examLog.warn('Compliance violation', { streamName: violation.streamName, roomId: violation.roomId, problem: violation.problem, durationSeconds: Math.round(violation.duration / 1000) });
+});
 
-  socket.on('stream-published', (data) => {
-    const { studentId, streamType, streamName, viewUrl, hlsUrl, statusUrl } = data;
-    const userInfo = socketToRoom[socket.id];
-    
-    if (userInfo) {
-      console.log(`📺 Stream published notification: ${streamName}`);
-      socket.to(userInfo.roomId).emit('stream-published', {
-        studentId,
-        streamType,
-        streamName,
-        viewUrl: viewUrl || `/hls/${streamName}/`,
-        hlsUrl: hlsUrl || `/hls/${streamName}/index.m3u8`,
-        statusUrl: statusUrl || `/api/stream/${streamName}/status`,
-        timestamp: new Date()
-      });
-    }
+complianceMonitor.on('compliance-restored', (restored) => {
+  io.local.to(proctorChannel(restored.roomId)).emit('compliance-restored', {
+    ...restored,
+    timestamp: new Date()
   });
+});
 
-  socket.on('stream-stopped', (data) => {
-    const { studentId, streamType } = data;
-    const userInfo = socketToRoom[socket.id];
-    
-    if (userInfo) {
-      console.log(`🛑 Stream stopped notification: ${studentId}_${streamType}`);
-      socket.to(userInfo.roomId).emit('stream-stopped', {
-        studentId,
-        streamType
+// Every node gets the ICE servers (TURN secret included) through the
+// control API when it comes up, so external nodes relay through TURN too
+mediamtx.on('node-up', (node) => {
+  if (!config.turn.secret) {
+    return;
+  }
+  node.client.patchGlobalConfig({ webrtcICEServers2: mediamtxIceServers(config) })
+    .then(() => log.info('ICE servers pushed to MediaMTX node', { node: node.id }))
+    .catch(error => log.error('Could not push ICE servers to MediaMTX node', { node: node.id, error: error.message }));
+});
+
+// Students whose replica went away without cleaning up
+sessionStore.on('presence-expired', ({ roomId, role, userId }) => {
+  if (role === 'student') {
+    io.to(roomId).emit('student-disconnected', { studentId: userId });
+  }
+});
+
+clipExporter.on('clip-ready', (clip) => {
+  io.to(proctorChannel(clip.roomId)).emit('clip-ready', clip);
+});
+
+clipExporter.on('clip-failed', (clip) => {
+  io.to(proctorChannel(clip.roomId)).emit('clip-failed', clip);
+});
+
+// Only the replica composing a room emits these, so they go to every replica
+roomMosaics.on('mosaic-updated', (mosaic) => {
+  io.to(proctorChannel(mosaic.roomId)).emit('mosaic-updated', { ...mosaic, timestamp: new Date() });
+});
+
+roomMosaics.on('mosaic-stopped', (mosaic) => {
+  io.to(proctorChannel(mosaic.roomId)).emit('mosaic-stopped', { ...mosaic, timestamp: new Date() });
+});
+
+// Every replica takes its own snapshots, so each tells only its own proctors
+snapshotGrabber.on('snapshot', async (snapshot) => {
+  try {
+    const roomId = await getStudentRoomId(sessionStore, snapshot.studentId);
+    if (roomId) {
+      io.local.to(proctorChannel(roomId)).emit('snapshot', {
+        ...snapshot,
+        url: snapshotUrl(snapshot.streamName, snapshot)
       });
     }
-  });
+  } catch (error) {
+    log.error('Failed to push snapshot', { streamName: snapshot.streamName, error: error.message });
+  }
+});
 
-  socket.on('disconnect', () => {
-    const userInfo = socketToRoom[socket.id];
-    
-    if (userInfo) {
-      const { roomId, role, userId } = userInfo;
+// Log level changes made through another replica (routes/logging.js)
+io.of('/').on('log-levels', (changes) => {
+  try {
+    setLevels(changes);
+    log.info('Log levels changed on another replica', { changes });
+  } catch (error) {
+    log.warn('Ignored invalid log level change from another replica', { changes, error: error.message });
+  }
+});
+
+// Socket connection handling - every socket must present a token
+io.use(socketAuth);
+
+io.on('connection', (socket) => {
+  const socketContext = { socketId: socket.id, userId: socket.data.user.id, role: socket.data.user.role };
+  // Whatever the event handlers below log - here or in utils/ - carries the
+  // socket's ids and the event name
+  socket.use(([event], next) => withContext({ ...socketContext, event }, next));
+  socketLog.info('Socket connected', { ...socketContext, transport: socket.conn.transport.name });
+
+  socket.on('join-as-student', async (data) => {
+    try {
+      const { studentId, roomId, name } = data;
+      const { user } = socket.data;
       
-      if (role === 'student' && activeStudents[userId]) {
-        delete activeStudents[userId];
-        
-        if (rooms[roomId]) {
-          rooms[roomId].students = rooms[roomId].students.filter(s => s.id !== userId);
-          socket.to(roomId).emit('student-disconnected', { studentId: userId });
+      if (user.role !== 'student' || user.id !== studentId) {
+        return socket.emit('join-error', { event: 'join-as-student', message: 'Token does not match studentId' });
+      }
+      
+      const hold = await sessionStore.getHold(studentId);
+      if (hold && hold.status === 'terminated') {
+        return socket.emit('join-error', { event: 'join-as-student', message: 'Exam was terminated by a proctor' });
+      }
+      
+      // Rooms that have had an exam only admit its roster, inside its
+      // window, and stay closed once it has ended or been cancelled
+      const exam = await examSessions.getLatestByRoom(roomId);
+      if (exam) {
+        try {
+          examSessions.checkStudentJoin(exam, studentId);
+        } catch (examError) {
+          if (!(examError instanceof ExamSessionError)) throw examError;
+          return socket.emit('join-error', { event: 'join-as-student', message: examError.message, examId: exam.id });
         }
         
-        console.log(`👨‍🎓 Student ${userId} disconnected`);
-      } else if (role === 'proctor' && activeProctors[userId]) {
-        delete activeProctors[userId];
-        
-        if (rooms[roomId]) {
-          rooms[roomId].proctors = rooms[roomId].proctors.filter(p => p.id !== userId);
+        // Set up recording before the student starts publishing
+        if (exam.recording) {
+          await applyExamRecording(mediamtx, exam, [studentId]);
         }
-        
-        console.log(`👨‍🏫 Proctor ${userId} disconnected`);
       }
       
-      delete socketToRoom[socket.id];
+      socket.join(roomId);
+      const student = await sessionStore.addStudent(socket.id, { studentId, roomId, name });
+
+      socket.to(roomId).emit('student-joined', student);
+      if (config.mosaic.enabled) {
+        roomMosaics.refresh();
+      }
+      socket.emit('room-info', {
+        roomId: roomId,
+        exam: exam ? {
+          id: exam.id,
+          title: exam.title,
+          scheduledStart: exam.scheduledStart,
+          scheduledEnd: exam.scheduledEnd,
+          requiredStreams: exam.requiredStreams
+        } : null,
+        studentsCount: (await sessionStore.getRoomStudents(roomId)).length,
+        proctorsCount: (await sessionStore.getRoomProctors(roomId)).length
+      });
+
+      // Re-deliver anything a proctor sent while the student was offline
+      const pending = await incidentLog.list({ studentId, unacknowledged: true });
+      for (const incident of pending.reverse()) {
+        socket.emit('proctor-action', incident);
+      }
+
+      socketLog.info('Student joined room', { studentId, roomId, examId: exam ? exam.id : null });
+    } catch (error) {
+      socketLog.error('join-as-student failed', { error });
+      socket.emit('join-error', { event: 'join-as-student', message: 'Failed to join room' });
+    }
+  });
+
+  socket.on('join-as-proctor', async (data) => {
+    try {
+      const { proctorId, roomId, name } = data;
+      const { user } = socket.data;
+      
+      if (user.role !== 'proctor' || user.id !== proctorId) {
+        return socket.emit('join-error', { event: 'join-as-proctor', message: 'Token does not match proctorId' });
+      }
+      
+      try {
+        await checkProctorAccess(sessionStore, proctorId, { roomId });
+      } catch (authError) {
+        return socket.emit('join-error', { event: 'join-as-proctor', message: authError.message });
+      }
+      
+      socket.join(roomId);
+      socket.join(proctorChannel(roomId));
+      await sessionStore.addProctor(socket.id, { proctorId, roomId, name });
+
+      socket.emit('active-students', await sessionStore.getRoomStudents(roomId));
+      socketLog.info('Proctor joined room', { proctorId, roomId });
+    } catch (error) {
+      socketLog.error('join-as-proctor failed', { error });
+      socket.emit('join-error', { event: 'join-as-proctor', message: 'Failed to join room' });
+    }
+  });
+
+  // Proctor actions: flag-student, warn-student, pause-exam, resume-exam,
+  // terminate-exam. Payload { studentId, reason, severity, streamType,
+  // streamTimestamp }; the optional ack callback gets the incident back.
+  Object.keys(INCIDENT_ACTIONS).forEach((event) => {
+    socket.on(event, async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { user } = socket.data;
+        if (user.role !== 'proctor') {
+          throw new AuthError(403, 'Proctor role required');
+        }
+        const incident = await performProctorAction(user.id, event, data);
+        reply({ success: true, incident });
+      } catch (error) {
+        if (!(error instanceof AuthError)) {
+          socketLog.error(`${event} failed`, { error });
+        }
+        socket.emit('action-error', { event, message: error.message });
+        reply({ success: false, error: error.message });
+      }
+    });
+  });
+
+  // Proctor marks a moment to export as a clip. Payload { studentId,
+  // streamType, timestamp, secondsBefore, secondsAfter, reason, incidentId };
+  // the ack gets the pending clip, 'clip-ready' follows once it is exported.
+  socket.on('mark-moment', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { user } = socket.data;
+      if (user.role !== 'proctor') {
+        throw new AuthError(403, 'Proctor role required');
+      }
+      const roomId = await getStudentRoomId(sessionStore, data.studentId);
+      if (!roomId) {
+        throw new AuthError(404, 'Student not found');
+      }
+      await checkProctorAccess(sessionStore, user.id, { roomId, permission: 'flag' });
+
+      const clip = await clipExporter.mark({ ...data, roomId, proctorId: user.id });
+      io.to(proctorChannel(roomId)).emit('clip-created', clip);
+      reply({ success: true, clip });
+    } catch (error) {
+      if (!(error instanceof AuthError) && !(error instanceof ClipExporter.ClipError)) {
+        socketLog.error('mark-moment failed', { error });
+      }
+      socket.emit('action-error', { event: 'mark-moment', message: error.message });
+      reply({ success: false, error: error.message });
     }
   });
+
+  // Signaling over the socket instead of HTTP: same payloads as POST
+  // /api/v1/webrtc/signal and /proctor-signal, the result comes back through
+  // the ack. Sessions opened here are closed when the socket goes away.
+  const relaySignal = (event, roles, handle) => {
+    socket.on(event, async (data = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { user } = socket.data;
+        if (!roles.includes(user.role)) {
+          throw new AuthError(403, `${roles.join(' or ')} role required`);
+        }
+        const result = await handle(user, data, { socketId: socket.id });
+        reply({ success: true, ...result });
+      } catch (error) {
+        if (!error.status) {
+          whipLog.error(`${event} failed`, { type: data.type, sessionId: data.sessionId, error });
+        }
+        socket.emit('signal-error', { event, type: data.type, sessionId: data.sessionId, message: error.message });
+        reply({ success: false, error: error.message });
+      }
+    });
+  };
+
+  relaySignal('signal', ['student', 'admin'], (user, data, options) => signalingRelay.signal(user, data, options));
+  relaySignal('proctor-signal', ['proctor', 'admin'], (user, data, options) => signalingRelay.proctorSignal(user, data, options));
+
+  // Student confirms they saw a proctor action
+  socket.on('incident-ack', async ({ incidentId } = {}) => {
+    try {
+      const { user } = socket.data;
+      if (user.role !== 'student') {
+        return;
+      }
+      const incident = await incidentLog.acknowledge(incidentId, user.id);
+      if (incident) {
+        io.to(proctorChannel(incident.roomId)).emit('incident-acknowledged', incident);
+      }
+    } catch (error) {
+      socketLog.error('incident-ack failed', { incidentId, error });
+    }
+  });
+
+  // Clients still send these as hints; the real events come from the
+  // stream monitor, so just poll MediaMTX sooner.
+  socket.on('stream-published', () => {
+    streamMonitor.refresh();
+  });
+
+  socket.on('stream-stopped', () => {
+    streamMonitor.refresh();
+  });
+
+  socket.on('disconnect', reason => withContext(socketContext, async () => {
+    socketLog.info('Socket disconnected', { reason });
+    signalingRelay.closeSocket(socket.id).catch(error => {
+      whipLog.error('Closing signaling sessions failed', { error: error.message });
+    });
+
+    try {
+      const userInfo = await sessionStore.removeSocket(socket.id);
+      
+      if (userInfo) {
+        const { roomId, role, userId } = userInfo;
+        
+        if (role === 'student') {
+          socket.to(roomId).emit('student-disconnected', { studentId: userId });
+          socketLog.info('Student left room', { studentId: userId, roomId });
+          if (config.mosaic.enabled) {
+            roomMosaics.refresh();
+          }
+        } else if (role === 'proctor') {
+          socketLog.info('Proctor left room', { proctorId: userId, roomId });
+        }
+      }
+    } catch (error) {
+      socketLog.error('Disconnect cleanup failed', { error });
+    }
+  }));
 });
 
 // API endpoints
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
   res.json({
     status: 'MediaMTX Proctoring Backend - Railway with Alternative Stream Creation! 🚀',
     timestamp: new Date(),
-    activeStudents: Object.keys(activeStudents).length,
-    activeProctors: Object.keys(activeProctors).length,
+    ...(await sessionStore.counts()),
     environment: process.env.NODE_ENV || 'production',
-    mediamtxStatus: mediamtxProcess ? (mediamtxProcess.killed ? 'stopped' : 'running') : 'not started',
+    mediamtxStatus: mediamtxSupervisor.state,
     version: '1.2.0',
     ports: {
       main: PORT,
-      webrtc: 8889,
-      hls: 8888,
-      api: 9997
+      webrtc: config.mediamtx.webrtc.enabled ? config.mediamtx.webrtc.port : null,
+      hls: config.mediamtx.hls.enabled ? config.mediamtx.hls.port : null,
+      api: config.mediamtx.api.port
     },
     proxyEndpoints: {
       whip: '/:streamName/whip (10s timeout)',
       whep: '/:streamName/whep',
+      webrtcSession: 'PATCH/DELETE /:streamName/(whip|whep)/:sessionId',
+      publishNegotiation: '/api/v1/webrtc/streams/:studentId/negotiate',
       hls: '/hls/:streamName/*',
       hlsMaster: '/hls/:streamName/index.m3u8',
       streamStatus: '/api/stream/:streamName/status',
       streamCreate: '/api/stream/:streamName/create',
-      api: '/v3/*'
+      api: '/v3/*',
+      students: '/api/v1/students',
+      proctors: '/api/v1/proctors',
+      webrtc: '/api/v1/webrtc',
+      metrics: '/metrics',
+      logging: '/api/v1/logging'
     },
     features: [
       'Enhanced HLS streaming',
       'WebRTC with quick timeout (10s)',
       'Alternative stream creation',
+      'Publish protocol negotiation (WHIP, WebRTC/TCP, RTMP(S), SRT)',
       'Stream path auto-creation',
       'Enhanced error handling',
       'Railway optimized'
@@ -867,13 +1304,21 @@ app.get('/', (req, res) => {
   });
 });
 
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
+  const mediamtxStatus = mediamtxSupervisor.getStatus();
+  const mediamtxNodes = mediamtx.getStatus();
   res.json({
-    status: 'OK',
+    status: mediamtxNodes.some(node => node.healthy) ? 'OK' : 'DEGRADED',
     server: 'Railway with Alternative Stream Creation',
-    activeStudents: Object.keys(activeStudents).length,
-    activeProctors: Object.keys(activeProctors).length,
-    mediamtxRunning: mediamtxProcess && !mediamtxProcess.killed,
+    ...(await sessionStore.counts()),
+    mediamtxRunning: mediamtxStatus.live,
+    mediamtx: mediamtxStatus,
+    mediamtxNodes,
+    instance: config.cluster.instanceId,
+    socketAdapter: config.cluster.adapter,
+    // Mosaics composed by this replica
+    mosaics: config.mosaic.enabled ? roomMosaics.getStatus() : null,
+    snapshots: config.snapshots.enabled ? snapshotGrabber.getStatus() : null,
     uptime: process.uptime(),
     proxyStatus: 'Enhanced Active with Fallbacks',
     hlsProxy: 'Enhanced with auto stream creation',
@@ -881,46 +1326,57 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Prometheus scrape endpoint (utils/metrics.js), METRICS_TOKEN-protected
+// when set
+app.get('/metrics', async (req, res) => {
+  if (!config.metrics.enabled) {
+    return res.status(404).json({ error: 'Metrics are disabled' });
+  }
+  if (!metrics.authorize(req)) {
+    return res.status(401).json({ error: 'A valid metrics token is required' });
+  }
+  try {
+    res.set('Content-Type', metrics.contentType);
+    res.send(await metrics.render());
+  } catch (error) {
+    log.error('Failed to collect metrics', { error: error.message });
+    res.status(500).json({ error: 'Failed to collect metrics', details: error.message });
+  }
+});
+
 app.get('/mediamtx/health', async (req, res) => {
   try {
-    const response = await fetch(`${MEDIAMTX_HTTP_URL}/v3/config/global/get`, {
-      timeout: 5000
-    });
+    // Polls every node; fails only when none answers
+    await mediamtx.listPaths();
     
-    if (response.ok) {
-      res.json({ 
-        status: 'MediaMTX server running with alternative stream creation', 
-        url: MEDIAMTX_HTTP_URL,
-        mediamtxProcess: mediamtxProcess ? (mediamtxProcess.killed ? 'stopped' : 'running') : 'not started',
-        proxyStatus: 'Enhanced Active with Fallbacks',
-        endpoints: {
-          whip: `${req.protocol}://${req.get('host')}/:streamName/whip (10s timeout)`,
-          whep: `${req.protocol}://${req.get('host')}/:streamName/whep`,
-          hls: `${req.protocol}://${req.get('host')}/hls/:streamName/index.m3u8`,
-          streamStatus: `${req.protocol}://${req.get('host')}/api/stream/:streamName/status`,
-          streamCreate: `${req.protocol}://${req.get('host')}/api/stream/:streamName/create`
-        },
-        version: '1.2.0'
-      });
-    } else {
-      res.status(503).json({ 
-        status: 'MediaMTX server not responding',
-        url: MEDIAMTX_HTTP_URL,
-        error: `HTTP ${response.status}`
-      });
-    }
+    res.json({ 
+      status: 'MediaMTX server running with alternative stream creation', 
+      url: MEDIAMTX_API_URL,
+      nodes: mediamtx.getStatus(),
+      mediamtxProcess: mediamtxSupervisor.state,
+      proxyStatus: 'Enhanced Active with Fallbacks',
+      endpoints: {
+        whip: `${req.protocol}://${req.get('host')}/:streamName/whip (10s timeout)`,
+        whep: `${req.protocol}://${req.get('host')}/:streamName/whep`,
+        hls: `${req.protocol}://${req.get('host')}/hls/:streamName/index.m3u8`,
+        streamStatus: `${req.protocol}://${req.get('host')}/api/stream/:streamName/status`,
+        streamCreate: `${req.protocol}://${req.get('host')}/api/stream/:streamName/create`
+      },
+      version: '1.2.0'
+    });
   } catch (error) {
     res.status(503).json({ 
-      status: 'MediaMTX server unreachable', 
+      status: error.isUnavailable ? 'MediaMTX server unreachable' : 'MediaMTX server not responding',
       error: error.message,
-      url: MEDIAMTX_HTTP_URL
+      url: MEDIAMTX_API_URL,
+      nodes: mediamtx.getStatus()
     });
   }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Server error:', err.stack);
+  log.error('Unhandled request error', { method: req.method, path: req.originalUrl, error: err });
   res.status(500).json({ 
     error: 'Something went wrong!', 
     details: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error',
@@ -930,41 +1386,106 @@ app.use((err, req, res, next) => {
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('🛑 SIGTERM received - shutting down gracefully...');
-  if (mediamtxProcess) {
-    console.log('Stopping MediaMTX process...');
-    mediamtxProcess.kill('SIGTERM');
-  }
-  server.close(() => {
-    console.log('✅ Server closed');
+  log.info('SIGTERM received - shutting down gracefully');
+  mediamtx.stop();
+  streamMonitor.stop();
+  const examsStopped = examScheduler.stop();
+  complianceMonitor.stop();
+  recordingRetention.stop();
+  signalingRelay.stop();
+  const clipsStopped = clipExporter.stop();
+  snapshotGrabber.stop();
+  const mosaicsStopped = roomMosaics.stop();
+  const mediamtxStopped = mediamtxSupervisor.stop();
+  server.close(async () => {
+    await examsStopped;
+    await clipsStopped;
+    await mosaicsStopped;
+    await mediamtxStopped;
+    await closeSocketAdapter();
+    await sessionStore.close();
+    log.info('Server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('🛑 SIGINT received - shutting down gracefully...');
-  if (mediamtxProcess) {
-    mediamtxProcess.kill('SIGINT');
-  }
-  server.close(() => {
-    console.log('✅ Server closed');
+  log.info('SIGINT received - shutting down gracefully');
+  mediamtx.stop();
+  streamMonitor.stop();
+  const examsStopped = examScheduler.stop();
+  complianceMonitor.stop();
+  recordingRetention.stop();
+  signalingRelay.stop();
+  const clipsStopped = clipExporter.stop();
+  snapshotGrabber.stop();
+  const mosaicsStopped = roomMosaics.stop();
+  const mediamtxStopped = mediamtxSupervisor.stop();
+  server.close(async () => {
+    await examsStopped;
+    await clipsStopped;
+    await mosaicsStopped;
+    await mediamtxStopped;
+    await closeSocketAdapter();
+    await sessionStore.close();
+    log.info('Server closed');
     process.exit(0);
   });
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`🚀 Backend + MediaMTX with alternative stream creation running on Railway port ${PORT}`);
-  console.log(`🎥 MediaMTX WebRTC URL (internal): ${MEDIAMTX_HTTP_URL}`);
-  console.log(`🌐 Frontend URL: ${FRONTEND_URL}`);
-  console.log(`📊 Health check: /api/health`);
-  console.log(`📺 MediaMTX health: /mediamtx/health`);
-  console.log(`🔧 Environment: ${process.env.NODE_ENV || 'production'}`);
-  console.log(`🔀 Enhanced proxy endpoints: WHIP (10s timeout), WHEP, HLS, API`);
-  console.log(`📺 HLS Master playlist: /hls/:streamName/index.m3u8`);
-  console.log(`📊 Stream status API: /api/stream/:streamName/status`);
-  console.log(`🎯 Stream creation API: /api/stream/:streamName/create`);
-  console.log(`⚡ Features: Quick WebRTC timeout, Alternative stream creation, Auto-fallback to HLS`);
+// Released on shutdown once the adapter is installed
+let closeSocketAdapter = async () => {};
+
+// Start server once persisted state is loaded and the Socket.IO adapter is
+// connected
+sessionStore.init()
+  .then(() => useSocketAdapter(io, config.cluster))
+  .then((close) => { closeSocketAdapter = close; })
+  .then(() => mediamtx.init())
+  .then(() => clipExporter.init())
+  .then(() => server.listen(PORT, () => {
+  // Started once listening so MediaMTX's auth hook has somewhere to go
+  if (config.mediamtx.managed) {
+    writeMediaMTXConfig(config, mediamtxSupervisor.configPath)
+      .then(() => mediamtxSupervisor.start())
+      .catch(error => log.error('Could not write MediaMTX config', { error }));
+  } else {
+    mediamtxSupervisor.start();
+  }
+  // First sweep once any fleet node answers (managed or not), then hourly
+  mediamtx.once('node-up', () => recordingRetention.start());
+  mediamtx.start();
+  streamMonitor.start();
+  examScheduler.start();
+  clipExporter.start();
+  signalingRelay.start();
+  complianceMonitor.start();
+  if (config.mosaic.enabled) {
+    roomMosaics.start();
+  }
+  if (config.snapshots.enabled) {
+    snapshotGrabber.start();
+  }
+  log.info('Backend + MediaMTX with alternative stream creation running', {
+    port: PORT,
+    mediamtxNodes: config.mediamtx.nodes.map(node => ({ id: node.id, api: node.urls.api })),
+    frontendUrl: FRONTEND_URL,
+    instance: config.cluster.instanceId,
+    socketAdapter: config.cluster.adapter,
+    environment: process.env.NODE_ENV || 'production',
+    logLevels: getLevels(),
+    endpoints: {
+      health: '/api/health',
+      mediamtxHealth: '/mediamtx/health',
+      metrics: '/metrics',
+      hls: '/hls/:streamName/index.m3u8',
+      streamStatus: '/api/stream/:streamName/status',
+      streamCreate: '/api/stream/:streamName/create'
+    }
+  });
+})).catch((error) => {
+  log.error('Failed to initialise storage or the Socket.IO adapter', { error });
+  process.exit(1);
 });
 
 module.exports = { app, server, io };
@@ -0,0 +1,360 @@
+// utils/auth.js
+// Token issuing plus the access rules shared by the Socket.IO middleware,
+// the REST routers and the WHIP/WHEP/HLS proxies.
+//
+// Roles: 'student', 'proctor', 'admin'. Proctor permissions ('monitor',
+// 'flag', 'warning', ...) and room assignments are read from the stored
+// registration on every check, so changes apply without reissuing tokens.
+// New proctors get DEFAULT_PROCTOR_PERMISSIONS; 'terminate' is left out on
+// purpose and has to be granted by an admin.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('./config');
+const { createLogger, addContext } = require('./logger');
+
+const log = createLogger('auth');
+
+const STREAM_TYPES = ['camera', 'screen', 'audio'];
+const DEFAULT_PROCTOR_PERMISSIONS = ['monitor', 'flag', 'warning', 'pause'];
+
+let JWT_SECRET = config.auth.jwtSecret;
+const JWT_EXPIRES_IN = config.auth.jwtExpiresIn;
+const ADMIN_API_KEY = config.auth.adminApiKey;
+
+if (!JWT_SECRET) {
+  JWT_SECRET = crypto.randomBytes(32).toString('hex');
+  log.warn('JWT_SECRET not set - using a random secret, tokens will not survive a restart');
+}
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Passwords
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+// A stored value that isn't salt:hash (e.g. hand-edited storage) just
+// fails the check
+const verifyPassword = (password, stored) => {
+  if (!password || typeof stored !== 'string') {
+    return false;
+  }
+  const [salt, hash] = stored.split(':');
+  if (!salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const candidate = crypto.scryptSync(String(password), salt, 64);
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+const verifyAdminKey = (key) => {
+  if (!ADMIN_API_KEY || !key) {
+    return false;
+  }
+  const expected = Buffer.from(ADMIN_API_KEY);
+  const actual = Buffer.from(String(key));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Tokens
+
+const signToken = ({ id, role }) => {
+  return jwt.sign({ role }, JWT_SECRET, { subject: String(id), expiresIn: JWT_EXPIRES_IN });
+};
+
+// Short-lived token the backend presents to MediaMTX for its own requests
+// (proxied WHIP/WHEP/HLS, internal readers). Never handed to clients.
+const signServiceToken = () => {
+  return jwt.sign({ role: 'service' }, JWT_SECRET, { subject: 'backend', expiresIn: '1h' });
+};
+
+const serviceAuthHeaders = () => ({ Authorization: `Bearer ${signServiceToken()}` });
+
+const verifyToken = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return { id: payload.sub, role: payload.role };
+  } catch (error) {
+    throw new AuthError(401, `Invalid token: ${error.message}`);
+  }
+};
+
+// Bearer header first, then ?token= for clients that can't set headers
+// (HLS players, <video> tags).
+const extractToken = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return req.query?.token || null;
+};
+
+// Streams
+
+// `${studentId}_${streamType}` -> { studentId, streamType }. Student ids may
+// themselves contain underscores, so split on the last one.
+const parseStreamName = (streamName) => {
+  const index = streamName.lastIndexOf('_');
+  if (index <= 0) {
+    return null;
+  }
+  const studentId = streamName.slice(0, index);
+  const streamType = streamName.slice(index + 1);
+  if (!STREAM_TYPES.includes(streamType)) {
+    return null;
+  }
+  return { studentId, streamType };
+};
+
+// `room_${roomId}_mosaic` (utils/roomMosaic.js) -> roomId
+const parseMosaicName = (streamName) => {
+  const match = /^room_(.+)_mosaic$/.exec(streamName);
+  return match ? match[1] : null;
+};
+
+const hasPermission = (proctor, permission) => {
+  return Boolean(proctor && Array.isArray(proctor.permissions) && proctor.permissions.includes(permission));
+};
+
+// Loads the proctor registration and checks both the permission and (when a
+// room is given) the room assignment. Returns the registration on success.
+const checkProctorAccess = async (sessionStore, proctorId, { roomId, permission = 'monitor' } = {}) => {
+  const proctor = await sessionStore.getRegisteredProctor(proctorId);
+  if (!proctor) {
+    throw new AuthError(403, 'Proctor is not registered');
+  }
+  if (permission && !hasPermission(proctor, permission)) {
+    throw new AuthError(403, `Proctor lacks '${permission}' permission`);
+  }
+  if (roomId && !(proctor.roomIds || []).includes(roomId)) {
+    throw new AuthError(403, `Proctor is not assigned to room ${roomId}`);
+  }
+  return proctor;
+};
+
+const getStudentRoomId = async (sessionStore, studentId) => {
+  const active = await sessionStore.getStudent(studentId);
+  if (active) {
+    return active.roomId;
+  }
+  const registered = await sessionStore.getRegisteredStudent(studentId);
+  return registered ? registered.roomId : null;
+};
+
+// Students publish their own streams, unless a proctor paused or
+// terminated their exam
+const canPublish = async (sessionStore, user, streamName) => {
+  if (!user) {
+    return false;
+  }
+  if (user.role === 'admin') {
+    return true;
+  }
+  const parsed = parseStreamName(streamName);
+  if (!parsed || user.role !== 'student' || parsed.studentId !== user.id) {
+    return false;
+  }
+  return !(await sessionStore.getHold(user.id));
+};
+
+const canRead = async (sessionStore, user, streamName) => {
+  if (!user) {
+    return false;
+  }
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  // Room mosaics are for the room's proctors only
+  const mosaicRoomId = parseMosaicName(streamName);
+  if (mosaicRoomId) {
+    if (user.role !== 'proctor') {
+      return false;
+    }
+    try {
+      await checkProctorAccess(sessionStore, user.id, { roomId: mosaicRoomId });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  const parsed = parseStreamName(streamName);
+  if (!parsed) {
+    return false;
+  }
+
+  // Students may preview their own streams
+  if (user.role === 'student') {
+    return parsed.studentId === user.id;
+  }
+
+  if (user.role === 'proctor') {
+    const roomId = await getStudentRoomId(sessionStore, parsed.studentId);
+    if (!roomId) {
+      return false;
+    }
+    try {
+      await checkProctorAccess(sessionStore, user.id, { roomId });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return false;
+};
+
+// Express middleware
+
+const sendAuthError = (res, error) => {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  log.error('Auth check failed', { error });
+  return res.status(500).json({ error: 'Authorization check failed' });
+};
+
+// requireAuth() accepts any valid token; requireAuth('proctor', 'admin')
+// also restricts the role.
+const requireAuth = (...roles) => (req, res, next) => {
+  try {
+    const token = extractToken(req);
+    if (!token) {
+      throw new AuthError(401, 'Authentication required');
+    }
+    req.user = verifyToken(token);
+    addContext({ userId: req.user.id, role: req.user.role });
+    if (roles.length > 0 && !roles.includes(req.user.role)) {
+      throw new AuthError(403, `Requires role: ${roles.join(' or ')}`);
+    }
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// Lets a student act on their own :studentId, plus any of the extra roles.
+const requireSelfOrRole = (param, ...roles) => (req, res, next) => {
+  if (roles.includes(req.user.role) || (req.user.role === 'student' && req.user.id === req.params[param])) {
+    return next();
+  }
+  sendAuthError(res, new AuthError(403, 'Not allowed to access another user'));
+};
+
+// Lets a student act on their own :studentId, and proctors act on students
+// in rooms they are assigned to (with the given permission).
+const requireStudentAccess = (param, permission = 'monitor') => async (req, res, next) => {
+  const studentId = req.params[param];
+  if (req.user.role === 'admin' || (req.user.role === 'student' && req.user.id === studentId)) {
+    return next();
+  }
+  try {
+    if (req.user.role !== 'proctor') {
+      throw new AuthError(403, 'Not allowed to access another user');
+    }
+    const { sessionStore } = req.app.locals;
+    const roomId = await getStudentRoomId(sessionStore, studentId);
+    if (!roomId) {
+      throw new AuthError(404, 'Student not found');
+    }
+    req.proctor = await checkProctorAccess(sessionStore, req.user.id, { roomId, permission });
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+const requirePermission = (permission) => async (req, res, next) => {
+  if (req.user.role === 'admin') {
+    return next();
+  }
+  try {
+    if (req.user.role !== 'proctor') {
+      throw new AuthError(403, 'Proctor role required');
+    }
+    req.proctor = await checkProctorAccess(req.app.locals.sessionStore, req.user.id, { permission });
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// Guards the stream proxies: 'publish' for WHIP, 'read' for WHEP/HLS.
+const requireStreamAccess = (action) => async (req, res, next) => {
+  try {
+    const token = extractToken(req);
+    if (!token) {
+      throw new AuthError(401, 'Authentication required');
+    }
+    req.user = verifyToken(token);
+    addContext({ userId: req.user.id, role: req.user.role });
+
+    const { streamName } = req.params;
+    const allowed = action === 'publish'
+      ? await canPublish(req.app.locals.sessionStore, req.user, streamName)
+      : await canRead(req.app.locals.sessionStore, req.user, streamName);
+
+    if (!allowed) {
+      throw new AuthError(403, `Not allowed to ${action} stream ${streamName}`);
+    }
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// Socket.IO middleware
+
+const socketAuth = (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+    if (!token) {
+      throw new AuthError(401, 'Authentication required');
+    }
+    socket.data.user = verifyToken(token);
+    next();
+  } catch (error) {
+    const err = new Error(error.message);
+    err.data = { status: error.status || 401 };
+    next(err);
+  }
+};
+
+module.exports = {
+  STREAM_TYPES,
+  DEFAULT_PROCTOR_PERMISSIONS,
+  AuthError,
+  hashPassword,
+  verifyPassword,
+  verifyAdminKey,
+  signToken,
+  signServiceToken,
+  serviceAuthHeaders,
+  verifyToken,
+  extractToken,
+  parseStreamName,
+  parseMosaicName,
+  hasPermission,
+  checkProctorAccess,
+  getStudentRoomId,
+  canPublish,
+  canRead,
+  sendAuthError,
+  requireAuth,
+  requireSelfOrRole,
+  requireStudentAccess,
+  requirePermission,
+  requireStreamAccess,
+  socketAuth
+};
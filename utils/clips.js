@@ -0,0 +1,301 @@
+// utils/clips.js
+// Clips cut from a student's MediaMTX recording around a moment a proctor
+// marked. Metadata lives in the 'clips' collection of the shared storage
+// driver, the mp4 files in CLIPS_DIR.
+//
+// A clip is exported once the recording has caught up with the end of its
+// window (mark + secondsAfter). If the path was not being recorded when the
+// moment was marked, recording is switched on and the clip starts at the
+// first recorded segment instead.
+//
+// With several replicas only the holder of the 'clip-exporter' lease
+// (utils/lease.js) exports: it picks up pending clips whichever replica
+// they were marked on, and takes over those of a replica that went away.
+// CLIPS_DIR has to be shared between replicas for every one of them to
+// serve the files.
+//
+// Events: 'clip-ready' (clip), 'clip-failed' (clip)
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { STREAM_TYPES } = require('./auth');
+const { streamNameFor } = require('./streams');
+const { enableRecording, listRecordedSegments, fetchRecording } = require('./recordings');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('clips');
+
+const CLIP_SETTINGS = config.clips;
+
+class ClipError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ClipError';
+    this.status = status;
+  }
+}
+
+const toSeconds = (value, fallback, name) => {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > CLIP_SETTINGS.maxSeconds) {
+    throw new ClipError(400, `${name} must be between 0 and ${CLIP_SETTINGS.maxSeconds} seconds`);
+  }
+  return seconds;
+};
+
+class ClipExporter extends EventEmitter {
+  constructor({
+    storage,
+    mediamtx,
+    lease,
+    dir = CLIP_SETTINGS.dir,
+    interval = 5000,
+    flushDelay = 3000,
+    retries = 3,
+    retryDelay = 10000
+  }) {
+    super();
+    this.storage = storage;
+    this.mediamtx = mediamtx;
+    this.lease = lease;
+    this.dir = path.resolve(dir);
+    this.interval = interval;
+    // Extra wait after the window closes so the last recorded part is on disk
+    this.flushDelay = flushDelay;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    // clipId -> export timer, kept until the export has finished
+    this.timers = new Map();
+    this.timer = null;
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.claim().catch(error => {
+        log.error('Clip export check failed', { error: error.message });
+      });
+    }, this.interval);
+    this.claim().catch(error => {
+      log.error('Clip export check failed', { error: error.message });
+    });
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.clearTimers();
+    await this.lease.release();
+  }
+
+  clearTimers() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  // Renews the lease and schedules every pending clip not scheduled yet -
+  // marked on another replica, or left over from a restart
+  async claim() {
+    if (!(await this.lease.acquire())) {
+      this.clearTimers();
+      return;
+    }
+    const pending = (await this.list({ status: 'pending' })).filter(clip => !this.timers.has(clip.id));
+    pending.forEach(clip => this.schedule(clip));
+    if (pending.length > 0) {
+      log.info('Picked up pending clip exports', { count: pending.length });
+    }
+  }
+
+  async mark({ studentId, roomId, streamType, timestamp, secondsBefore, secondsAfter, proctorId, reason, incidentId }) {
+    if (!STREAM_TYPES.includes(streamType)) {
+      throw new ClipError(400, `streamType must be one of: ${STREAM_TYPES.join(', ')}`);
+    }
+    const markedAt = timestamp ? new Date(timestamp) : new Date();
+    if (Number.isNaN(markedAt.getTime())) {
+      throw new ClipError(400, 'timestamp must be a valid date');
+    }
+    const before = toSeconds(secondsBefore, CLIP_SETTINGS.secondsBefore, 'secondsBefore');
+    const after = toSeconds(secondsAfter, CLIP_SETTINGS.secondsAfter, 'secondsAfter');
+    if (before + after === 0) {
+      throw new ClipError(400, 'Clip must be longer than 0 seconds');
+    }
+
+    const streamName = streamNameFor(studentId, streamType);
+    let recordingEnabled;
+    try {
+      recordingEnabled = await enableRecording(this.mediamtx, streamName, { whileLive: true });
+    } catch (error) {
+      // No status: MediaMTX could not be reached at all
+      if (!error.status) throw error;
+      throw new ClipError(409, `MediaMTX would not record ${streamName}: ${error.message}`);
+    }
+
+    const clip = {
+      id: crypto.randomUUID(),
+      studentId,
+      roomId,
+      streamType,
+      streamName,
+      proctorId,
+      reason: reason || null,
+      incidentId: incidentId || null,
+      markedAt,
+      start: new Date(markedAt.getTime() - before * 1000),
+      end: new Date(markedAt.getTime() + after * 1000),
+      // true when recording was off and got switched on by this mark
+      recordingEnabled,
+      status: 'pending',
+      attempts: 0,
+      fileName: null,
+      size: null,
+      error: null,
+      createdAt: new Date(),
+      readyAt: null
+    };
+
+    await this.storage.set('clips', clip.id, clip);
+    // Otherwise the lease holder picks it up on its next claim()
+    if (this.lease.held) {
+      this.schedule(clip);
+    }
+    log.info('Clip marked', { clipId: clip.id, streamName, markedAt, proctorId });
+    return clip;
+  }
+
+  schedule(clip, delay = Math.max(0, new Date(clip.end).getTime() - Date.now()) + this.flushDelay) {
+    clearTimeout(this.timers.get(clip.id));
+    const timer = setTimeout(() => {
+      this.export(clip.id)
+        .catch(error => {
+          log.error('Clip export crashed', { clipId: clip.id, error });
+        })
+        .finally(() => {
+          // A retry has put a new timer in its place
+          if (this.timers.get(clip.id) === timer) {
+            this.timers.delete(clip.id);
+          }
+        });
+    }, delay);
+    this.timers.set(clip.id, timer);
+  }
+
+  async export(clipId) {
+    let clip = await this.get(clipId);
+    if (!clip || clip.status !== 'pending') {
+      return clip;
+    }
+    clip = await this.update(clipId, { attempts: clip.attempts + 1 });
+
+    try {
+      // From the node that recorded the window, which need not be the one
+      // the path is assigned to now
+      const recorded = await listRecordedSegments(this.mediamtx, clip.streamName, { start: clip.start, end: clip.end });
+      if (recorded.length === 0) {
+        throw new ClipError(404, 'No recording covers this moment');
+      }
+      const node = recorded[0].node;
+      const segments = recorded.filter(segment => segment.node === node);
+      const playbackUrl = this.mediamtx.getNode(node).urls.playback;
+
+      // Recording may have started after the requested start
+      const start = new Date(Math.max(new Date(clip.start).getTime(), new Date(segments[0].start).getTime()));
+      const duration = (new Date(clip.end).getTime() - start.getTime()) / 1000;
+      if (duration <= 0) {
+        throw new ClipError(404, 'Recording started after the end of the clip');
+      }
+
+      const fileName = `${clip.id}.mp4`;
+      const filePath = path.join(this.dir, fileName);
+      const response = await fetchRecording(clip.streamName, { start, duration, playbackUrl });
+      await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(`${filePath}.tmp`));
+      await fs.promises.rename(`${filePath}.tmp`, filePath);
+      const { size } = await fs.promises.stat(filePath);
+
+      clip = await this.update(clipId, {
+        status: 'ready',
+        node,
+        start,
+        duration,
+        fileName,
+        size,
+        error: null,
+        readyAt: new Date()
+      });
+      log.info('Clip exported', { clipId, durationSeconds: Math.round(duration), bytes: size });
+      this.emit('clip-ready', clip);
+    } catch (error) {
+      if (clip.attempts < this.retries) {
+        log.warn('Clip export attempt failed, retrying', { clipId, attempt: clip.attempts, error: error.message });
+        await this.update(clipId, { error: error.message });
+        this.schedule(clip, this.retryDelay);
+        return clip;
+      }
+      clip = await this.update(clipId, { status: 'failed', error: error.message });
+      log.error('Clip export failed', { clipId, error: error.message });
+      this.emit('clip-failed', clip);
+    }
+    return clip;
+  }
+
+  async get(clipId) {
+    return this.storage.get('clips', clipId);
+  }
+
+  async update(clipId, changes) {
+    const clip = await this.get(clipId);
+    if (!clip) {
+      return null;
+    }
+    Object.assign(clip, changes);
+    await this.storage.set('clips', clipId, clip);
+    return clip;
+  }
+
+  filePath(clip) {
+    return clip.fileName ? path.join(this.dir, clip.fileName) : null;
+  }
+
+  // Newest first. roomIds limits the result to those rooms (proctor view).
+  async list({ studentId, roomId, roomIds, proctorId, status } = {}) {
+    return (await this.storage.list('clips'))
+      .filter(c => (!studentId || c.studentId === studentId)
+        && (!roomId || c.roomId === roomId)
+        && (!roomIds || roomIds.includes(c.roomId))
+        && (!proctorId || c.proctorId === proctorId)
+        && (!status || c.status === status))
+      .sort((a, b) => new Date(b.markedAt) - new Date(a.markedAt));
+  }
+
+  async delete(clipId) {
+    const clip = await this.get(clipId);
+    if (!clip) {
+      return false;
+    }
+    clearTimeout(this.timers.get(clipId));
+    this.timers.delete(clipId);
+    const filePath = this.filePath(clip);
+    if (filePath) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+    return this.storage.delete('clips', clipId);
+  }
+}
+
+module.exports = ClipExporter;
+module.exports.ClipExporter = ClipExporter;
+module.exports.ClipError = ClipError;
+module.exports.CLIP_SETTINGS = CLIP_SETTINGS;
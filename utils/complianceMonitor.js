@@ -0,0 +1,193 @@
+// utils/complianceMonitor.js
+// Checks that every connected student in a running exam is actually
+// publishing the streams the exam requires, using MediaMTX's view of each
+// path rather than what the client claims.
+//
+// A required stream is non-compliant when its path is
+//   'missing'   - not found or not ready
+//   'stalled'   - bytesReceived stopped increasing
+//   'no-video' / 'no-audio' - the path lacks the track the requirement needs
+// Problems only count once they have lasted longer than the grace period.
+//
+// Events:
+//   'compliance-violation' ({ examId, roomId, studentId, streamType, streamName, problem, since, duration })
+//   'compliance-restored'  ({ examId, roomId, studentId, streamType, streamName, problem, duration })
+const EventEmitter = require('events');
+const { streamNameFor } = require('./streams');
+const { createLogger } = require('./logger');
+
+const log = createLogger('compliance');
+
+const VIDEO_CODECS = ['AV1', 'VP9', 'VP8', 'H265', 'H264', 'MPEG-4 Video', 'MPEG-1/2 Video', 'M-JPEG'];
+const AUDIO_CODECS = ['Opus', 'MPEG-4 Audio', 'MPEG-1/2 Audio', 'AC-3', 'G722', 'G711', 'LPCM'];
+
+const hasTrack = (path, codecs) => (path.tracks || []).some(codec => codecs.includes(codec));
+
+class ComplianceMonitor extends EventEmitter {
+  constructor({ mediamtx, sessionStore, examSessions, interval = 5000, gracePeriod = 15000 }) {
+    super();
+    this.mediamtx = mediamtx;
+    this.sessionStore = sessionStore;
+    this.examSessions = examSessions;
+    this.interval = interval;
+    this.gracePeriod = gracePeriod;
+    // `${studentId}:${streamType}` -> check state
+    this.states = new Map();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        log.error('Compliance check failed', { error: error.message });
+      });
+    }, this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Skips a round while the previous one is still waiting on MediaMTX, so
+  // two rounds never report the same problem twice
+  async tick(now = Date.now()) {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    try {
+      const exams = await this.examSessions.list({ status: 'active' });
+      const checked = new Set();
+
+      for (const exam of exams) {
+        const students = await this.sessionStore.getRoomStudents(exam.roomId);
+
+        for (const student of students) {
+          if (!exam.roster.includes(student.id)) {
+            continue;
+          }
+          for (const streamType of exam.requiredStreams) {
+            const key = `${student.id}:${streamType}`;
+            checked.add(key);
+            await this.check(exam, student.id, streamType, now);
+          }
+        }
+      }
+
+      // Forget students who left or whose exam finished
+      for (const key of this.states.keys()) {
+        if (!checked.has(key)) {
+          this.states.delete(key);
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Audio can come either from a dedicated `${id}_audio` path or from the
+  // camera path's audio track.
+  async loadPath(studentId, streamType) {
+    const candidates = streamType === 'audio'
+      ? [streamNameFor(studentId, 'audio'), streamNameFor(studentId, 'camera')]
+      : [streamNameFor(studentId, streamType)];
+
+    for (const name of candidates) {
+      try {
+        const path = await this.mediamtx.getPath(name);
+        if (path.ready || name === candidates[candidates.length - 1]) {
+          return { name, path };
+        }
+      } catch (error) {
+        if (!error.isNotFound) throw error;
+      }
+    }
+    return { name: candidates[0], path: null };
+  }
+
+  async check(exam, studentId, streamType, now) {
+    const key = `${studentId}:${streamType}`;
+    const state = this.states.get(key) || {
+      problem: null,
+      since: null,
+      reported: false,
+      lastBytes: null,
+      lastProgressAt: now
+    };
+
+    const { name, path } = await this.loadPath(studentId, streamType);
+
+    let problem = null;
+    if (!path || !path.ready) {
+      problem = 'missing';
+    } else if (streamType === 'audio' && !hasTrack(path, AUDIO_CODECS)) {
+      problem = 'no-audio';
+    } else if (streamType !== 'audio' && !hasTrack(path, VIDEO_CODECS)) {
+      problem = 'no-video';
+    } else {
+      const bytes = path.bytesReceived || 0;
+      if (state.lastBytes === null || bytes > state.lastBytes) {
+        state.lastProgressAt = now;
+      } else if (now - state.lastProgressAt >= this.interval) {
+        problem = 'stalled';
+      }
+      state.lastBytes = bytes;
+    }
+
+    const base = { examId: exam.id, roomId: exam.roomId, studentId, streamType, streamName: name };
+
+    if (problem !== state.problem) {
+      if (state.reported && state.problem) {
+        this.emit('compliance-restored', {
+          ...base,
+          problem: state.problem,
+          newProblem: problem,
+          duration: now - state.since
+        });
+      }
+      state.problem = problem;
+      state.since = problem ? now : null;
+      state.reported = false;
+    }
+
+    if (problem && !state.reported && now - state.since >= this.gracePeriod) {
+      state.reported = true;
+      this.emit('compliance-violation', {
+        ...base,
+        problem,
+        since: new Date(state.since),
+        duration: now - state.since
+      });
+    }
+
+    this.states.set(key, state);
+  }
+
+  // { camera: { compliant, problem, since }, ... } for the streams being
+  // tracked for this student. Problems still inside the grace period are
+  // reported as compliant.
+  getStudentCompliance(studentId) {
+    const result = {};
+    for (const [key, state] of this.states) {
+      const index = key.lastIndexOf(':');
+      const streamType = key.slice(index + 1);
+      if (key.slice(0, index) === studentId) {
+        result[streamType] = {
+          compliant: !state.reported,
+          problem: state.problem,
+          since: state.since !== null ? new Date(state.since) : null
+        };
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = ComplianceMonitor;
+module.exports.VIDEO_CODECS = VIDEO_CODECS;
+module.exports.AUDIO_CODECS = AUDIO_CODECS;
@@ -0,0 +1,626 @@
+// utils/config.js
+// Backend + MediaMTX configuration in one place. Values come from, in order
+// of precedence: environment variables, an optional JSON file (CONFIG_FILE,
+// same shape as DEFAULTS below) and the defaults. The result is validated
+// once at startup and frozen; every MediaMTX port, URL and protocol switch
+// the backend uses is read from here, and utils/mediamtxConfig.js renders
+// the MediaMTX YAML from it.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULTS = {
+  port: 3000,
+  frontendUrl: 'https://mediamtx-frontend.vercel.app',
+  // Backend logs (utils/logger.js): one JSON object per line, or readable
+  // lines for local development. `levels` overrides `level` per subsystem
+  // (hls, whip, socket, supervisor, mediamtx, ...), e.g. { hls: 'warn' }.
+  logging: {
+    level: 'info',
+    format: 'json',
+    levels: {}
+  },
+  // Where registrations, rooms, sessions and the rest of the shared state
+  // live (utils/storage). Only redis can be shared by several replicas; it
+  // connects with cluster.redisUrl and cluster.keyPrefix.
+  storage: {
+    driver: 'file',
+    filePath: './data/store.json'
+  },
+  // How often MediaMTX paths are polled for stream lifecycle events
+  streams: {
+    pollInterval: 2000
+  },
+  // Required-stream checks for students in running exams
+  compliance: {
+    interval: 5000,
+    // How long a required stream may be missing before proctors are told
+    gracePeriod: 15000
+  },
+  // Sessions opened through POST /api/v1/webrtc/signal and /proctor-signal
+  // have no socket whose disconnect would drop them; their records are
+  // swept this long after they were opened
+  signaling: {
+    sessionTtl: 4 * 60 * 60 * 1000
+  },
+  // Incident clips cut from recordings (utils/clips.js); seconds around the
+  // marked moment unless the proctor asks for other bounds
+  clips: {
+    dir: './data/clips',
+    secondsBefore: 30,
+    secondsAfter: 30,
+    maxSeconds: 600
+  },
+  // Used for room mosaics and snapshots
+  ffmpegPath: 'ffmpeg',
+  mediamtx: {
+    // false when MediaMTX runs as its own service - the backend then only
+    // talks to it through the URLs below
+    managed: true,
+    binary: process.platform === 'win32' ? './mediamtx.exe' : './mediamtx',
+    // Where the rendered YAML is written for the managed binary
+    configOutput: './mediamtx.generated.yml',
+    maxRestarts: 10,
+    // Host the backend reaches MediaMTX on, and the one handed to clients
+    // for direct RTMP/SRT connections (defaults to the request host)
+    host: 'localhost',
+    publicHost: null,
+    logLevel: 'info',
+    readTimeout: '10s',
+    writeTimeout: '10s',
+    api: { port: 9997 },
+    playback: { enabled: true, port: 9996 },
+    hls: {
+      enabled: true,
+      port: 8888,
+      alwaysRemux: true,
+      variant: 'mpegts',
+      segmentCount: 10,
+      segmentDuration: '2s',
+      partDuration: '200ms',
+      segmentMaxSize: '50M'
+    },
+    webrtc: {
+      enabled: true,
+      port: 8889,
+      localUDPPort: 8189,
+      localTCPPort: 8190,
+      ipsFromInterfaces: false,
+      additionalHosts: ['0.0.0.0'],
+      iceServers: [{ url: 'stun:stun.l.google.com:19302' }],
+      handshakeTimeout: '5s',
+      trackGatherTimeout: '2s'
+    },
+    rtmp: { enabled: true, port: 1935 },
+    // RTMP over TLS; MediaMTX needs the key/cert files
+    rtmps: { enabled: false, port: 1936, serverKey: 'server.key', serverCert: 'server.crt' },
+    srt: { enabled: true, port: 8890 },
+    rtsp: { enabled: true, port: 8554, transports: ['tcp'] },
+    // Filled in from host + ports unless set explicitly
+    urls: { api: null, hls: null, webrtc: null, playback: null },
+    // MediaMTX nodes paths are spread across: [{ id, urls: { api, webrtc,
+    // hls, playback }, publicHost, weight }]. Defaults to one 'local' node
+    // built from the settings above.
+    nodes: null,
+    fleet: {
+      pollInterval: 5000,
+      // Bytes/s one publishing student is assumed to cost when load is
+      // compared between nodes
+      bandwidthPerSession: 250000,
+      // An assigned path that has not been live for this long is released
+      assignmentTtl: 300000
+    }
+  },
+  recording: {
+    path: './recordings/%path/%Y-%m-%d_%H-%M-%S-%f',
+    format: 'fmp4',
+    segmentDuration: '1m',
+    partDuration: '1s',
+    retentionHours: 24 * 7
+  },
+  auth: {
+    jwtSecret: null,
+    jwtExpiresIn: '8h',
+    adminApiKey: null,
+    // Required for the auth hook when MediaMTX is not on loopback
+    hookSecret: null,
+    // Where MediaMTX sends auth requests; defaults to this backend's port
+    hookUrl: null
+  },
+  // TURN relay with time-limited credentials (TURN REST API, checked by
+  // coturn's use-auth-secret). Clients get credentials issued per user;
+  // MediaMTX is given the secret and issues its own.
+  turn: {
+    // turn:/turns: URLs, e.g. ['turn:turn.example.com:3478?transport=udp']
+    urls: [],
+    secret: null,
+    // Seconds a credential stays valid
+    ttl: 24 * 60 * 60
+  },
+  // Running several backend replicas. Socket.IO rooms go through a shared
+  // adapter; session state needs a shared storage driver as well
+  // (STORAGE_DRIVER=redis).
+  cluster: {
+    // local = single process, redis = Redis pub/sub, memory = in-process
+    // bus between Socket.IO servers in the same process (tests)
+    adapter: 'local',
+    redisUrl: 'redis://localhost:6379',
+    keyPrefix: 'proctoring:',
+    // Tags this replica's sockets in shared storage; defaults to hostname-pid
+    instanceId: null,
+    heartbeatInterval: 10000,
+    // Presence of a replica not heard from for this long is dropped
+    instanceTimeout: 30000
+  },
+  // Per-room thumbnail wall: FFmpeg reads every live camera in a room over
+  // RTSP and publishes a grid back as room_<roomId>_mosaic
+  mosaic: {
+    enabled: false,
+    tileWidth: 320,
+    tileHeight: 180,
+    fps: 10,
+    bitrate: '1000k',
+    maxTiles: 49,
+    // Name labels need a font; without one FFmpeg asks fontconfig
+    fontFile: null,
+    // How often the room layouts are recomputed
+    interval: 5000,
+    restartDelay: 5000
+  },
+  // JPEG frames grabbed from every live student stream, kept in memory for
+  // preview grids
+  snapshots: {
+    enabled: false,
+    interval: 10000,
+    // Frames kept per stream
+    ringSize: 5,
+    width: 320,
+    // Per grab; a path that doesn't deliver a frame in time is skipped
+    timeout: 8000,
+    // FFmpeg processes at once
+    concurrency: 2
+  },
+  // Prometheus /metrics. With a token set, scrapers have to send it as
+  // `Authorization: Bearer <token>`.
+  metrics: {
+    enabled: true,
+    token: null,
+    // Node.js process metrics (CPU, heap, event loop lag, ...)
+    processMetrics: true,
+    // WHIP/WHEP response time buckets, in seconds
+    webrtcBuckets: [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 15]
+  }
+};
+
+const PROTOCOLS = ['hls', 'webrtc', 'rtmp', 'rtmps', 'srt', 'rtsp', 'playback'];
+const SOCKET_ADAPTERS = ['local', 'redis', 'memory'];
+const STORAGE_DRIVERS = ['memory', 'file', 'redis'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['json', 'pretty'];
+const HLS_VARIANTS = ['mpegts', 'fmp4', 'lowLatency'];
+const RECORD_FORMATS = ['fmp4', 'mpegts'];
+const DURATION = /^\d+(\.\d+)?(ms|s|m|h)$/;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Env values are strings; coerce them to the type of the default
+const parseBool = (value) => ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+// LOG_LEVELS=hls=warn,whip=debug
+const parseLevels = (value) => Object.fromEntries(parseList(value).map(item => item.split('=').map(part => part.trim())));
+
+// MEDIAMTX_ICE_SERVERS takes a JSON array of MediaMTX webrtcICEServers2
+// entries or a comma-separated list of URLs.
+const parseIceServers = (value) => {
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    return JSON.parse(text);
+  }
+  return parseList(text).map(url => ({ url }));
+};
+
+// env var -> [config path, parser]
+const ENV_VARS = {
+  PORT: ['port', Number],
+  FRONTEND_URL: ['frontendUrl', String],
+  LOG_LEVEL: ['logging.level', String],
+  LOG_FORMAT: ['logging.format', String],
+  LOG_LEVELS: ['logging.levels', parseLevels],
+  STORAGE_DRIVER: ['storage.driver', String],
+  STORAGE_FILE: ['storage.filePath', String],
+  STREAM_POLL_INTERVAL_MS: ['streams.pollInterval', Number],
+  COMPLIANCE_CHECK_INTERVAL_MS: ['compliance.interval', Number],
+  COMPLIANCE_GRACE_PERIOD_MS: ['compliance.gracePeriod', Number],
+  SIGNALING_SESSION_TTL_MS: ['signaling.sessionTtl', Number],
+  CLIPS_DIR: ['clips.dir', String],
+  CLIP_SECONDS_BEFORE: ['clips.secondsBefore', Number],
+  CLIP_SECONDS_AFTER: ['clips.secondsAfter', Number],
+  CLIP_MAX_SECONDS: ['clips.maxSeconds', Number],
+  MEDIAMTX_MANAGED: ['mediamtx.managed', parseBool],
+  MEDIAMTX_BINARY: ['mediamtx.binary', String],
+  MEDIAMTX_CONFIG_OUTPUT: ['mediamtx.configOutput', String],
+  MEDIAMTX_MAX_RESTARTS: ['mediamtx.maxRestarts', Number],
+  MEDIAMTX_HOST: ['mediamtx.host', String],
+  MEDIAMTX_PUBLIC_HOST: ['mediamtx.publicHost', String],
+  MEDIAMTX_LOG_LEVEL: ['mediamtx.logLevel', String],
+  MEDIAMTX_API_PORT: ['mediamtx.api.port', Number],
+  MEDIAMTX_PLAYBACK_ENABLED: ['mediamtx.playback.enabled', parseBool],
+  MEDIAMTX_PLAYBACK_PORT: ['mediamtx.playback.port', Number],
+  MEDIAMTX_HLS_ENABLED: ['mediamtx.hls.enabled', parseBool],
+  MEDIAMTX_HLS_PORT: ['mediamtx.hls.port', Number],
+  MEDIAMTX_HLS_VARIANT: ['mediamtx.hls.variant', String],
+  MEDIAMTX_HLS_SEGMENT_COUNT: ['mediamtx.hls.segmentCount', Number],
+  MEDIAMTX_HLS_SEGMENT_DURATION: ['mediamtx.hls.segmentDuration', String],
+  MEDIAMTX_HLS_PART_DURATION: ['mediamtx.hls.partDuration', String],
+  MEDIAMTX_WEBRTC_ENABLED: ['mediamtx.webrtc.enabled', parseBool],
+  MEDIAMTX_WEBRTC_PORT: ['mediamtx.webrtc.port', Number],
+  MEDIAMTX_WEBRTC_UDP_PORT: ['mediamtx.webrtc.localUDPPort', Number],
+  MEDIAMTX_WEBRTC_TCP_PORT: ['mediamtx.webrtc.localTCPPort', Number],
+  MEDIAMTX_WEBRTC_ADDITIONAL_HOSTS: ['mediamtx.webrtc.additionalHosts', parseList],
+  MEDIAMTX_ICE_SERVERS: ['mediamtx.webrtc.iceServers', parseIceServers],
+  MEDIAMTX_RTMP_ENABLED: ['mediamtx.rtmp.enabled', parseBool],
+  MEDIAMTX_RTMP_PORT: ['mediamtx.rtmp.port', Number],
+  MEDIAMTX_RTMPS_ENABLED: ['mediamtx.rtmps.enabled', parseBool],
+  MEDIAMTX_RTMPS_PORT: ['mediamtx.rtmps.port', Number],
+  MEDIAMTX_RTMPS_SERVER_KEY: ['mediamtx.rtmps.serverKey', String],
+  MEDIAMTX_RTMPS_SERVER_CERT: ['mediamtx.rtmps.serverCert', String],
+  MEDIAMTX_SRT_ENABLED: ['mediamtx.srt.enabled', parseBool],
+  MEDIAMTX_SRT_PORT: ['mediamtx.srt.port', Number],
+  MEDIAMTX_RTSP_ENABLED: ['mediamtx.rtsp.enabled', parseBool],
+  MEDIAMTX_RTSP_PORT: ['mediamtx.rtsp.port', Number],
+  MEDIAMTX_API_URL: ['mediamtx.urls.api', String],
+  MEDIAMTX_HLS_URL: ['mediamtx.urls.hls', String],
+  MEDIAMTX_HTTP_URL: ['mediamtx.urls.webrtc', String],
+  MEDIAMTX_PLAYBACK_URL: ['mediamtx.urls.playback', String],
+  MEDIAMTX_NODES: ['mediamtx.nodes', JSON.parse],
+  MEDIAMTX_FLEET_POLL_INTERVAL_MS: ['mediamtx.fleet.pollInterval', Number],
+  MEDIAMTX_FLEET_ASSIGNMENT_TTL_MS: ['mediamtx.fleet.assignmentTtl', Number],
+  RECORDING_PATH: ['recording.path', String],
+  RECORDING_FORMAT: ['recording.format', String],
+  RECORDING_SEGMENT_DURATION: ['recording.segmentDuration', String],
+  RECORDING_PART_DURATION: ['recording.partDuration', String],
+  RECORDING_RETENTION_HOURS: ['recording.retentionHours', Number],
+  JWT_SECRET: ['auth.jwtSecret', String],
+  JWT_EXPIRES_IN: ['auth.jwtExpiresIn', String],
+  ADMIN_API_KEY: ['auth.adminApiKey', String],
+  MEDIAMTX_HOOK_SECRET: ['auth.hookSecret', String],
+  MEDIAMTX_AUTH_HOOK_URL: ['auth.hookUrl', String],
+  SOCKET_ADAPTER: ['cluster.adapter', String],
+  REDIS_URL: ['cluster.redisUrl', String],
+  REDIS_KEY_PREFIX: ['cluster.keyPrefix', String],
+  INSTANCE_ID: ['cluster.instanceId', String],
+  INSTANCE_HEARTBEAT_INTERVAL_MS: ['cluster.heartbeatInterval', Number],
+  INSTANCE_TIMEOUT_MS: ['cluster.instanceTimeout', Number],
+  TURN_URLS: ['turn.urls', parseList],
+  TURN_SECRET: ['turn.secret', String],
+  TURN_CREDENTIAL_TTL: ['turn.ttl', Number],
+  MOSAIC_ENABLED: ['mosaic.enabled', parseBool],
+  FFMPEG_PATH: ['ffmpegPath', String],
+  MOSAIC_TILE_WIDTH: ['mosaic.tileWidth', Number],
+  MOSAIC_TILE_HEIGHT: ['mosaic.tileHeight', Number],
+  MOSAIC_FPS: ['mosaic.fps', Number],
+  MOSAIC_BITRATE: ['mosaic.bitrate', String],
+  MOSAIC_MAX_TILES: ['mosaic.maxTiles', Number],
+  MOSAIC_FONT_FILE: ['mosaic.fontFile', String],
+  MOSAIC_INTERVAL_MS: ['mosaic.interval', Number],
+  SNAPSHOTS_ENABLED: ['snapshots.enabled', parseBool],
+  SNAPSHOT_INTERVAL_MS: ['snapshots.interval', Number],
+  SNAPSHOT_RING_SIZE: ['snapshots.ringSize', Number],
+  SNAPSHOT_WIDTH: ['snapshots.width', Number],
+  SNAPSHOT_TIMEOUT_MS: ['snapshots.timeout', Number],
+  SNAPSHOT_CONCURRENCY: ['snapshots.concurrency', Number],
+  METRICS_ENABLED: ['metrics.enabled', parseBool],
+  METRICS_TOKEN: ['metrics.token', String],
+  METRICS_PROCESS_METRICS: ['metrics.processMetrics', parseBool]
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const merge = (target, source) => {
+  for (const [key, value] of Object.entries(source)) {
+    if (isObject(value) && isObject(target[key])) {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+};
+
+const setPath = (target, dotted, value) => {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node[key], target);
+  parent[last] = value;
+};
+
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+const validate = (config) => {
+  const problems = [];
+  const { mediamtx, recording, cluster, turn, mosaic, snapshots, metrics, storage, streams, compliance, signaling, clips } = config;
+
+  const checkPort = (name, value) => {
+    if (!Number.isInteger(value) || value < 1 || value > 65535) {
+      problems.push(`${name} must be a port number (got ${value})`);
+    }
+  };
+  const checkDuration = (name, value) => {
+    if (!DURATION.test(String(value))) {
+      problems.push(`${name} must be a duration like 500ms, 2s or 1m (got ${value})`);
+    }
+  };
+  const checkOneOf = (name, value, allowed) => {
+    if (!allowed.includes(value)) {
+      problems.push(`${name} must be one of: ${allowed.join(', ')} (got ${value})`);
+    }
+  };
+
+  checkPort('port', config.port);
+  checkPort('mediamtx.api.port', mediamtx.api.port);
+  checkOneOf('mediamtx.logLevel', mediamtx.logLevel, LOG_LEVELS);
+  checkOneOf('logging.level', config.logging.level, LOG_LEVELS);
+  checkOneOf('logging.format', config.logging.format, LOG_FORMATS);
+  if (!isObject(config.logging.levels)) {
+    problems.push('logging.levels must map subsystems to levels');
+  } else {
+    for (const [subsystem, level] of Object.entries(config.logging.levels)) {
+      checkOneOf(`logging.levels.${subsystem}`, level, LOG_LEVELS);
+    }
+  }
+  checkDuration('mediamtx.readTimeout', mediamtx.readTimeout);
+  checkDuration('mediamtx.writeTimeout', mediamtx.writeTimeout);
+
+  // Every listener that will be opened needs its own port
+  const listeners = { port: config.port, 'mediamtx.api.port': mediamtx.api.port };
+  for (const protocol of PROTOCOLS) {
+    const settings = mediamtx[protocol];
+    if (typeof settings.enabled !== 'boolean') {
+      problems.push(`mediamtx.${protocol}.enabled must be a boolean`);
+    }
+    if (settings.enabled) {
+      checkPort(`mediamtx.${protocol}.port`, settings.port);
+      listeners[`mediamtx.${protocol}.port`] = settings.port;
+    }
+  }
+  if (mediamtx.rtmps.enabled && (!mediamtx.rtmps.serverKey || !mediamtx.rtmps.serverCert)) {
+    problems.push('mediamtx.rtmps needs serverKey and serverCert');
+  }
+  if (mediamtx.webrtc.enabled) {
+    checkPort('mediamtx.webrtc.localUDPPort', mediamtx.webrtc.localUDPPort);
+    checkPort('mediamtx.webrtc.localTCPPort', mediamtx.webrtc.localTCPPort);
+    listeners['mediamtx.webrtc.localTCPPort'] = mediamtx.webrtc.localTCPPort;
+  }
+  const seen = {};
+  for (const [name, port] of Object.entries(listeners)) {
+    if (seen[port]) {
+      problems.push(`${name} and ${seen[port]} both use port ${port}`);
+    }
+    seen[port] = name;
+  }
+
+  const { hls, webrtc } = mediamtx;
+  checkOneOf('mediamtx.hls.variant', hls.variant, HLS_VARIANTS);
+  if (!Number.isInteger(hls.segmentCount) || hls.segmentCount < 1) {
+    problems.push('mediamtx.hls.segmentCount must be a positive integer');
+  }
+  checkDuration('mediamtx.hls.segmentDuration', hls.segmentDuration);
+  checkDuration('mediamtx.hls.partDuration', hls.partDuration);
+  checkDuration('mediamtx.webrtc.handshakeTimeout', webrtc.handshakeTimeout);
+  checkDuration('mediamtx.webrtc.trackGatherTimeout', webrtc.trackGatherTimeout);
+  if (!Array.isArray(webrtc.iceServers) || webrtc.iceServers.some(server => !server || !/^(stun|turn|turns):/.test(server.url))) {
+    problems.push('mediamtx.webrtc.iceServers must be a list of { url: "stun:..." | "turn:..." } entries');
+  }
+  if (!Array.isArray(turn.urls) || turn.urls.some(url => !/^turns?:/.test(url))) {
+    problems.push('turn.urls must be a list of "turn:..." / "turns:..." URLs');
+  } else if (turn.urls.length > 0 && !turn.secret) {
+    problems.push('turn.secret is required when turn.urls are set');
+  }
+  if (!Number.isInteger(turn.ttl) || turn.ttl < 60) {
+    problems.push(`turn.ttl must be at least 60 seconds (got ${turn.ttl})`);
+  }
+  if (!Array.isArray(webrtc.additionalHosts)) {
+    problems.push('mediamtx.webrtc.additionalHosts must be a list');
+  }
+
+  checkOneOf('recording.format', recording.format, RECORD_FORMATS);
+  checkDuration('recording.segmentDuration', recording.segmentDuration);
+  checkDuration('recording.partDuration', recording.partDuration);
+  if (!(recording.retentionHours > 0)) {
+    problems.push('recording.retentionHours must be a positive number');
+  }
+
+  for (const [name, url] of Object.entries(mediamtx.urls)) {
+    try {
+      new URL(url);
+    } catch (error) {
+      problems.push(`mediamtx.urls.${name} must be a URL (got ${url})`);
+    }
+  }
+
+  const nodeIds = new Set();
+  mediamtx.nodes.forEach((node, index) => {
+    if (!node.id || nodeIds.has(node.id)) {
+      problems.push(`mediamtx.nodes[${index}] needs a unique id`);
+    }
+    nodeIds.add(node.id);
+    for (const name of ['api', 'webrtc', 'hls', 'playback']) {
+      try {
+        new URL(node.urls[name]);
+      } catch (error) {
+        problems.push(`mediamtx.nodes[${index}].urls.${name} must be a URL (got ${node.urls[name]})`);
+      }
+    }
+    if (!(node.weight > 0)) {
+      problems.push(`mediamtx.nodes[${index}].weight must be a positive number`);
+    }
+  });
+  if (!(mediamtx.fleet.pollInterval > 0) || !(mediamtx.fleet.bandwidthPerSession > 0) || !(mediamtx.fleet.assignmentTtl > 0)) {
+    problems.push('mediamtx.fleet.pollInterval, bandwidthPerSession and assignmentTtl must be positive numbers');
+  }
+
+  checkOneOf('storage.driver', storage.driver, STORAGE_DRIVERS);
+  if (storage.driver === 'file' && !storage.filePath) {
+    problems.push('storage.filePath is required for the file driver');
+  }
+  if (!(streams.pollInterval > 0)) {
+    problems.push(`streams.pollInterval must be a positive number (got ${streams.pollInterval})`);
+  }
+  if (!(compliance.interval > 0) || !(compliance.gracePeriod >= 0)) {
+    problems.push('compliance.interval must be positive and compliance.gracePeriod not negative');
+  }
+  if (!(signaling.sessionTtl > 0)) {
+    problems.push(`signaling.sessionTtl must be a positive number (got ${signaling.sessionTtl})`);
+  }
+  if (!clips.dir) {
+    problems.push('clips.dir is required');
+  }
+  if (!(clips.maxSeconds > 0) || [clips.secondsBefore, clips.secondsAfter].some(seconds => !(seconds >= 0 && seconds <= clips.maxSeconds))) {
+    problems.push('clips.secondsBefore and clips.secondsAfter must be between 0 and clips.maxSeconds');
+  }
+
+  if (!SOCKET_ADAPTERS.includes(cluster.adapter)) {
+    problems.push(`cluster.adapter must be one of ${SOCKET_ADAPTERS.join(', ')} (got ${cluster.adapter})`);
+  }
+  try {
+    new URL(cluster.redisUrl);
+  } catch (error) {
+    problems.push(`cluster.redisUrl must be a URL (got ${cluster.redisUrl})`);
+  }
+  if (!(cluster.heartbeatInterval > 0) || !(cluster.instanceTimeout > cluster.heartbeatInterval)) {
+    problems.push('cluster.instanceTimeout must be longer than cluster.heartbeatInterval');
+  }
+
+  if (mosaic.enabled) {
+    if (!mediamtx.rtsp.enabled) {
+      problems.push('mosaic needs mediamtx.rtsp.enabled (FFmpeg reads and publishes over RTSP)');
+    }
+    // yuv420p needs even dimensions
+    for (const name of ['tileWidth', 'tileHeight']) {
+      if (!Number.isInteger(mosaic[name]) || mosaic[name] < 16 || mosaic[name] % 2 !== 0) {
+        problems.push(`mosaic.${name} must be an even integer of at least 16 (got ${mosaic[name]})`);
+      }
+    }
+    if (!(mosaic.fps > 0) || !Number.isInteger(mosaic.maxTiles) || mosaic.maxTiles < 1) {
+      problems.push('mosaic.fps and mosaic.maxTiles must be positive');
+    }
+    if (!/^\d+[kM]?$/.test(mosaic.bitrate)) {
+      problems.push(`mosaic.bitrate must look like 1000k (got ${mosaic.bitrate})`);
+    }
+    if (!(mosaic.interval > 0) || !(mosaic.restartDelay >= 0)) {
+      problems.push('mosaic.interval must be positive');
+    }
+  }
+
+  if (snapshots.enabled) {
+    if (!mediamtx.rtsp.enabled) {
+      problems.push('snapshots need mediamtx.rtsp.enabled (FFmpeg reads the streams over RTSP)');
+    }
+    for (const name of ['ringSize', 'concurrency']) {
+      if (!Number.isInteger(snapshots[name]) || snapshots[name] < 1) {
+        problems.push(`snapshots.${name} must be a positive integer (got ${snapshots[name]})`);
+      }
+    }
+    if (!Number.isInteger(snapshots.width) || snapshots.width < 16 || snapshots.width % 2 !== 0) {
+      problems.push(`snapshots.width must be an even integer of at least 16 (got ${snapshots.width})`);
+    }
+    if (!(snapshots.interval >= 1000) || !(snapshots.timeout > 0)) {
+      problems.push('snapshots.interval must be at least 1000ms and snapshots.timeout positive');
+    }
+  }
+
+  if (!Array.isArray(metrics.webrtcBuckets) || metrics.webrtcBuckets.length === 0
+    || metrics.webrtcBuckets.some((bucket, index) => !(bucket > 0) || (index > 0 && bucket <= metrics.webrtcBuckets[index - 1]))) {
+    problems.push('metrics.webrtcBuckets must be increasing positive numbers of seconds');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+};
+
+// Fills in node defaults. Without nodes the backend talks to the one
+// MediaMTX described by the top-level settings.
+const normalizeNodes = (mediamtx) => {
+  if (!Array.isArray(mediamtx.nodes) || mediamtx.nodes.length === 0) {
+    return [{ id: 'local', urls: { ...mediamtx.urls }, publicHost: mediamtx.publicHost, weight: 1 }];
+  }
+  return mediamtx.nodes.map(node => ({
+    id: node.id,
+    urls: Object.fromEntries(Object.entries({ ...node.urls })
+      .map(([name, url]) => [name, typeof url === 'string' ? url.replace(/\/$/, '') : url])),
+    publicHost: node.publicHost || (node.urls && node.urls.api ? new URL(node.urls.api).hostname : null),
+    weight: node.weight === undefined ? 1 : node.weight
+  }));
+};
+
+const loadConfig = ({ env = process.env, file = env.CONFIG_FILE } = {}) => {
+  const config = merge({}, JSON.parse(JSON.stringify(DEFAULTS)));
+
+  if (file) {
+    let fromFile;
+    try {
+      fromFile = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+      throw new ConfigError([`Could not read config file ${file}: ${error.message}`]);
+    }
+    merge(config, fromFile);
+  }
+
+  const problems = [];
+  for (const [name, [dotted, parse]] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+    try {
+      setPath(config, dotted, parse(env[name]));
+    } catch (error) {
+      problems.push(`${name}: ${error.message}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const { mediamtx } = config;
+  const local = (port) => `http://${mediamtx.host}:${port}`;
+  mediamtx.urls.api = mediamtx.urls.api || local(mediamtx.api.port);
+  mediamtx.urls.hls = mediamtx.urls.hls || local(mediamtx.hls.port);
+  mediamtx.urls.webrtc = mediamtx.urls.webrtc || local(mediamtx.webrtc.port);
+  mediamtx.urls.playback = mediamtx.urls.playback || local(mediamtx.playback.port);
+  for (const name of Object.keys(mediamtx.urls)) {
+    mediamtx.urls[name] = mediamtx.urls[name].replace(/\/$/, '');
+  }
+  try {
+    mediamtx.nodes = normalizeNodes(mediamtx);
+  } catch (error) {
+    throw new ConfigError([`mediamtx.nodes: ${error.message}`]);
+  }
+  config.auth.hookUrl = config.auth.hookUrl || `http://127.0.0.1:${config.port}/internal/mediamtx/auth`;
+  config.cluster.instanceId = config.cluster.instanceId || `${os.hostname()}-${process.pid}`;
+
+  validate(config);
+  return deepFreeze(config);
+};
+
+module.exports = {
+  config: loadConfig(),
+  loadConfig,
+  ConfigError,
+  DEFAULTS,
+  ENV_VARS,
+  PROTOCOLS,
+  LOG_LEVELS
+};
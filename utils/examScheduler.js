@@ -0,0 +1,78 @@
+// utils/examScheduler.js
+// Moves exam sessions through their window. Checks on an interval rather
+// than with one long timer per session, so it needs no re-arming after a
+// restart and isn't bothered by setTimeout's ~24 day limit.
+//
+// With several replicas only the holder of the 'exam-scheduler' lease
+// (utils/lease.js) moves sessions, so each start and end happens once.
+//
+// Events: 'exam-started' (session), 'exam-ended' (session)
+const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('exams');
+
+class ExamScheduler extends EventEmitter {
+  constructor({ examSessions, lease, interval = 5000 }) {
+    super();
+    this.examSessions = examSessions;
+    this.lease = lease;
+    this.interval = interval;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        log.error('Exam scheduler tick failed', { error });
+      });
+    }, this.interval);
+    this.tick().catch(error => {
+      log.error('Exam scheduler tick failed', { error });
+    });
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.lease.release();
+  }
+
+  async tick(now = new Date()) {
+    if (!(await this.lease.acquire(now.getTime()))) {
+      return;
+    }
+    const sessions = await this.examSessions.list();
+
+    for (const session of sessions) {
+      if (session.status !== 'scheduled' && session.status !== 'active') {
+        continue;
+      }
+
+      if (now >= new Date(session.scheduledEnd)) {
+        await this.end(session.id, { reason: 'window-closed' });
+      } else if (session.status === 'scheduled' && now >= new Date(session.scheduledStart)) {
+        const started = await this.examSessions.setStatus(session.id, 'active', { startedAt: now });
+        log.info('Exam started', { examId: session.id, roomId: session.roomId });
+        this.emit('exam-started', started);
+      }
+    }
+  }
+
+  // Ends a session now, whatever its schedule says
+  async end(id, { reason = 'manual', status = 'ended' } = {}) {
+    const session = await this.examSessions.get(id);
+    if (!session || session.status === 'ended' || session.status === 'cancelled') {
+      return session;
+    }
+    const ended = await this.examSessions.setStatus(id, status, { endedAt: new Date(), endReason: reason });
+    log.info(`Exam ${status}`, { examId: id, roomId: session.roomId, reason });
+    this.emit('exam-ended', ended);
+    return ended;
+  }
+}
+
+module.exports = ExamScheduler;
@@ -0,0 +1,213 @@
+// utils/examSessions.js
+// Scheduled exam sessions: one per room, with a time window, a roster of
+// students, the stream types each student must publish, the proctors
+// assigned to watch and whether student streams are recorded. Stored in the
+// 'examSessions' collection.
+const crypto = require('crypto');
+const { STREAM_TYPES } = require('./auth');
+
+const EXAM_STATUSES = ['scheduled', 'active', 'ended', 'cancelled'];
+
+class ExamSessionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ExamSessionError';
+    this.status = status;
+  }
+}
+
+const toDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new ExamSessionError(400, `${field} must be a valid date`);
+  }
+  return date;
+};
+
+const toIdList = (value, field) => {
+  if (value === undefined) {
+    return [];
+  }
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || !id)) {
+    throw new ExamSessionError(400, `${field} must be an array of ids`);
+  }
+  return Array.from(new Set(value));
+};
+
+class ExamSessions {
+  constructor(storage, sessionStore) {
+    this.storage = storage;
+    this.sessionStore = sessionStore;
+  }
+
+  // Validates a create/update payload merged over `existing`
+  normalize(input, existing = {}) {
+    const merged = { ...existing, ...input };
+
+    if (!merged.title || typeof merged.title !== 'string') {
+      throw new ExamSessionError(400, 'title is required');
+    }
+
+    const scheduledStart = toDate(merged.scheduledStart, 'scheduledStart');
+    const scheduledEnd = toDate(merged.scheduledEnd, 'scheduledEnd');
+    if (scheduledEnd <= scheduledStart) {
+      throw new ExamSessionError(400, 'scheduledEnd must be after scheduledStart');
+    }
+
+    const requiredStreams = merged.requiredStreams === undefined ? ['camera'] : merged.requiredStreams;
+    if (!Array.isArray(requiredStreams) || requiredStreams.some(type => !STREAM_TYPES.includes(type))) {
+      throw new ExamSessionError(400, `requiredStreams may only contain: ${STREAM_TYPES.join(', ')}`);
+    }
+
+    if (merged.recording !== undefined && typeof merged.recording !== 'boolean') {
+      throw new ExamSessionError(400, 'recording must be a boolean');
+    }
+
+    return {
+      title: merged.title,
+      roomId: merged.roomId,
+      scheduledStart,
+      scheduledEnd,
+      roster: toIdList(merged.roster, 'roster'),
+      requiredStreams: Array.from(new Set(requiredStreams)),
+      proctorIds: toIdList(merged.proctorIds, 'proctorIds'),
+      recording: Boolean(merged.recording)
+    };
+  }
+
+  async create(input, { createdBy } = {}) {
+    const id = input.id || crypto.randomUUID();
+    if (await this.get(id)) {
+      throw new ExamSessionError(409, `Exam session ${id} already exists`);
+    }
+
+    const fields = this.normalize({ ...input, roomId: input.roomId || id });
+    const clash = await this.getByRoom(fields.roomId);
+    if (clash) {
+      throw new ExamSessionError(409, `Room ${fields.roomId} already has an open exam session (${clash.id})`);
+    }
+
+    const session = {
+      id,
+      ...fields,
+      status: 'scheduled',
+      createdBy: createdBy || null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      startedAt: null,
+      endedAt: null
+    };
+
+    await this.storage.set('examSessions', id, session);
+    await this.syncProctorAssignments(session.roomId, [], session.proctorIds);
+    return session;
+  }
+
+  async get(id) {
+    return this.storage.get('examSessions', id);
+  }
+
+  async list({ status, proctorId, studentId } = {}) {
+    const sessions = await this.storage.list('examSessions');
+    return sessions
+      .filter(s => (!status || s.status === status)
+        && (!proctorId || s.proctorIds.includes(proctorId))
+        && (!studentId || s.roster.includes(studentId)))
+      .sort((a, b) => new Date(a.scheduledStart) - new Date(b.scheduledStart));
+  }
+
+  // The open (scheduled or active) session for a room, if any
+  async getByRoom(roomId) {
+    const sessions = await this.storage.list('examSessions');
+    return sessions.find(s => s.roomId === roomId && (s.status === 'scheduled' || s.status === 'active')) || null;
+  }
+
+  // The room's most recently created session whatever its status, so a room
+  // stays closed once its exam has ended or been cancelled
+  async getLatestByRoom(roomId) {
+    const sessions = (await this.storage.list('examSessions')).filter(s => s.roomId === roomId);
+    return sessions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null;
+  }
+
+  // Whether an open session has the student on its roster and records this
+  // stream type
+  async recordsStream(studentId, streamType) {
+    const sessions = await this.list({ studentId });
+    return sessions.some(s => (s.status === 'scheduled' || s.status === 'active')
+      && s.recording && s.requiredStreams.includes(streamType));
+  }
+
+  async update(id, input) {
+    const session = await this.get(id);
+    if (!session) {
+      throw new ExamSessionError(404, 'Exam session not found');
+    }
+    if (session.status === 'ended' || session.status === 'cancelled') {
+      throw new ExamSessionError(409, `Exam session is ${session.status}`);
+    }
+
+    // The room can't move once students may have joined it
+    const { roomId, ...changes } = input;
+    const fields = this.normalize(changes, session);
+    const updated = { ...session, ...fields, roomId: session.roomId, updatedAt: new Date() };
+
+    await this.storage.set('examSessions', id, updated);
+    await this.syncProctorAssignments(session.roomId, session.proctorIds, updated.proctorIds);
+    return updated;
+  }
+
+  async setStatus(id, status, changes = {}) {
+    if (!EXAM_STATUSES.includes(status)) {
+      throw new ExamSessionError(400, `Unknown status: ${status}`);
+    }
+    const session = await this.get(id);
+    if (!session) {
+      return null;
+    }
+    const updated = { ...session, ...changes, status, updatedAt: new Date() };
+    await this.storage.set('examSessions', id, updated);
+    return updated;
+  }
+
+  // Throws ExamSessionError when the student may not join right now
+  checkStudentJoin(session, studentId, now = new Date()) {
+    if (session.status === 'cancelled') {
+      throw new ExamSessionError(403, 'Exam was cancelled');
+    }
+    if (!session.roster.includes(studentId)) {
+      throw new ExamSessionError(403, 'Student is not on the roster for this exam');
+    }
+    if (now < new Date(session.scheduledStart)) {
+      throw new ExamSessionError(403, `Exam has not started yet (starts ${new Date(session.scheduledStart).toISOString()})`);
+    }
+    if (now >= new Date(session.scheduledEnd) || session.status === 'ended') {
+      throw new ExamSessionError(403, 'Exam has already ended');
+    }
+  }
+
+  // Keeps the proctors' registered roomIds (what checkProctorAccess looks at)
+  // in line with the exam's proctor list.
+  async syncProctorAssignments(roomId, before, after) {
+    const added = after.filter(id => !before.includes(id));
+    const removed = before.filter(id => !after.includes(id));
+
+    for (const proctorId of added) {
+      const proctor = await this.sessionStore.getRegisteredProctor(proctorId);
+      if (proctor && !(proctor.roomIds || []).includes(roomId)) {
+        proctor.roomIds = [...(proctor.roomIds || []), roomId];
+        await this.sessionStore.registerProctor(proctor);
+      }
+    }
+    for (const proctorId of removed) {
+      const proctor = await this.sessionStore.getRegisteredProctor(proctorId);
+      if (proctor) {
+        proctor.roomIds = (proctor.roomIds || []).filter(id => id !== roomId);
+        await this.sessionStore.registerProctor(proctor);
+      }
+    }
+  }
+}
+
+module.exports = ExamSessions;
+module.exports.ExamSessionError = ExamSessionError;
+module.exports.EXAM_STATUSES = EXAM_STATUSES;
@@ -0,0 +1,56 @@
+// utils/hlsPlaylist.js
+// Playlist rewriting for the HLS proxy (routes/hls.js).
+//
+// MediaMTX normally writes URIs relative to the playlist, which resolve
+// through the proxy as they are. An absolute path or a URL on the node
+// itself would send the player straight to MediaMTX though, so every URI
+// pointing into the stream's directory is made relative to the proxied
+// playlist again. URIs elsewhere are left alone.
+//
+// Players that authenticate with ?token= don't carry it over to the URIs
+// inside a playlist, so it is appended to each of them.
+
+const withToken = (uri, token) => (token
+  ? `${uri}${uri.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`
+  : uri);
+
+// `playlistUrl` is the upstream URL the playlist came from, `streamUrl` the
+// stream's upstream directory (with the trailing slash)
+const rewriteUri = (uri, { playlistUrl, streamUrl, token }) => {
+  let resolved;
+  try {
+    resolved = new URL(uri, playlistUrl);
+  } catch (error) {
+    return uri;
+  }
+  if (!resolved.href.startsWith(streamUrl)) {
+    return uri;
+  }
+
+  // Same layout on both sides: /hls/<stream>/<file> is <streamUrl><file>
+  const playlistDepth = new URL(playlistUrl).pathname.slice(new URL(streamUrl).pathname.length).split('/').length - 1;
+  resolved.searchParams.delete('token');
+  const target = resolved.href.slice(streamUrl.length);
+  return withToken(`${'../'.repeat(playlistDepth)}${target}`, token);
+};
+
+// URI lines and URI="..." attributes (EXT-X-MAP init segments, LL-HLS
+// EXT-X-PART / EXT-X-PRELOAD-HINT / EXT-X-RENDITION-REPORT, EXT-X-MEDIA, ...)
+const rewritePlaylist = (playlist, { playlistUrl, streamUrl, token = null }) => {
+  const options = { playlistUrl, streamUrl, token };
+  return playlist
+    .split('\n')
+    .map((line) => {
+      const trimmed = line.trim();
+      if (!trimmed) {
+        return line;
+      }
+      if (trimmed.startsWith('#')) {
+        return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${rewriteUri(uri, options)}"`);
+      }
+      return rewriteUri(trimmed, options);
+    })
+    .join('\n');
+};
+
+module.exports = { rewritePlaylist };
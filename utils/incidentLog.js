@@ -0,0 +1,94 @@
+// utils/incidentLog.js
+// Proctor actions against a student (flag, warning, pause, terminate) and
+// their acknowledgement by the student client. Stored in the 'incidents'
+// collection of the shared storage driver.
+const crypto = require('crypto');
+
+// Socket event -> incident type, the proctor permission it needs and the
+// student status it leaves behind (if any).
+const INCIDENT_ACTIONS = {
+  'flag-student': { type: 'flag', permission: 'flag', studentStatus: null },
+  'warn-student': { type: 'warning', permission: 'warning', studentStatus: null },
+  'pause-exam': { type: 'pause', permission: 'pause', studentStatus: 'paused' },
+  'resume-exam': { type: 'resume', permission: 'pause', studentStatus: 'online' },
+  'terminate-exam': { type: 'terminate', permission: 'terminate', studentStatus: 'terminated' }
+};
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+class IncidentLog {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async record({ type, studentId, roomId, proctorId, reason, severity = 'medium', streamType = null, streamTimestamp = null }) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`severity must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    const incident = {
+      id: crypto.randomUUID(),
+      type,
+      studentId,
+      roomId,
+      proctorId,
+      reason: reason || null,
+      severity,
+      streamType,
+      streamTimestamp,
+      createdAt: new Date(),
+      deliveredAt: null,
+      acknowledgedAt: null
+    };
+
+    await this.storage.set('incidents', incident.id, incident);
+    return incident;
+  }
+
+  async get(incidentId) {
+    return this.storage.get('incidents', incidentId);
+  }
+
+  async markDelivered(incidentId) {
+    return this.update(incidentId, { deliveredAt: new Date() });
+  }
+
+  // Only the student the incident is about may acknowledge it
+  async acknowledge(incidentId, studentId) {
+    const incident = await this.get(incidentId);
+    if (!incident || incident.studentId !== studentId) {
+      return null;
+    }
+    if (!incident.acknowledgedAt) {
+      incident.acknowledgedAt = new Date();
+      await this.storage.set('incidents', incidentId, incident);
+    }
+    return incident;
+  }
+
+  async update(incidentId, changes) {
+    const incident = await this.get(incidentId);
+    if (!incident) {
+      return null;
+    }
+    Object.assign(incident, changes);
+    await this.storage.set('incidents', incidentId, incident);
+    return incident;
+  }
+
+  // Newest first
+  async list({ studentId, roomId, proctorId, unacknowledged = false, limit } = {}) {
+    const incidents = (await this.storage.list('incidents'))
+      .filter(i => (!studentId || i.studentId === studentId)
+        && (!roomId || i.roomId === roomId)
+        && (!proctorId || i.proctorId === proctorId)
+        && (!unacknowledged || !i.acknowledgedAt))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return limit ? incidents.slice(0, limit) : incidents;
+  }
+}
+
+module.exports = IncidentLog;
+module.exports.INCIDENT_ACTIONS = INCIDENT_ACTIONS;
+module.exports.SEVERITIES = SEVERITIES;
@@ -0,0 +1,59 @@
+// utils/lease.js
+// Picks the one replica that runs a job when several share the storage
+// driver, the same way room mosaics are owned (utils/roomMosaic.js): a
+// record in 'leases' names the holding instance and is renewed on every
+// acquire(), and another replica only takes over once it has gone stale.
+//
+// Two replicas finding a stale record at the same moment may both act for
+// one round; the later write wins and the other backs off on its next
+// acquire().
+class Lease {
+  constructor({ storage, name, instanceId, timeout }) {
+    this.storage = storage;
+    this.name = name;
+    this.instanceId = instanceId;
+    this.timeout = timeout;
+    this.held = false;
+  }
+
+  // Takes or renews the lease. Resolves whether this replica holds it.
+  async acquire(now = Date.now()) {
+    const record = await this.storage.get('leases', this.name);
+    const heldElsewhere = record && record.instanceId !== this.instanceId
+      && now - new Date(record.renewedAt).getTime() < this.timeout;
+    if (heldElsewhere) {
+      this.held = false;
+      return false;
+    }
+    await this.storage.set('leases', this.name, {
+      name: this.name,
+      instanceId: this.instanceId,
+      renewedAt: new Date(now)
+    });
+    this.held = true;
+    return true;
+  }
+
+  // Lets another replica take over without waiting for the timeout
+  async release() {
+    if (!this.held) {
+      return;
+    }
+    this.held = false;
+    const record = await this.storage.get('leases', this.name);
+    if (record && record.instanceId === this.instanceId) {
+      await this.storage.delete('leases', this.name);
+    }
+  }
+
+  async getHolder() {
+    const record = await this.storage.get('leases', this.name);
+    if (!record || Date.now() - new Date(record.renewedAt).getTime() >= this.timeout) {
+      return null;
+    }
+    return record.instanceId;
+  }
+}
+
+module.exports = Lease;
+module.exports.Lease = Lease;
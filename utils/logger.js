@@ -0,0 +1,265 @@
+// utils/logger.js
+// Leveled, structured logging. Every line is one JSON object
+//   { time, level, subsystem, msg, requestId, socketId, userId, ...fields }
+// or, with logging.format 'pretty', a readable line for local development.
+//
+// Modules log through their own subsystem (createLogger('hls')), and each
+// subsystem's level can be changed at runtime through PATCH /api/v1/logging
+// without a restart; subsystems without a level of their own follow the
+// default one.
+//
+// Correlation: requestContext() gives every HTTP request an id (a sane
+// incoming X-Request-Id is kept and echoed back) and withContext() does the
+// same for socket events, so whatever is logged while handling them - in a
+// route or deep inside utils/ - carries the ids.
+//
+// Redaction happens before anything is written: fields named like
+// credentials, JWTs, Bearer headers, ?token= parameters, passwords in URLs,
+// the token part of SRT stream ids, and SDP bodies.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { config, LOG_LEVELS } = require('./config');
+
+const SEVERITY = { error: 0, warn: 1, info: 2, debug: 3 };
+
+class LogLevelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LogLevelError';
+    this.status = 400;
+  }
+}
+
+// Levels
+
+let defaultLevel = config.logging.level;
+// subsystem -> level, from config or set at runtime
+const overrides = new Map(Object.entries(config.logging.levels));
+const subsystems = new Set(overrides.keys());
+
+const levelOf = subsystem => overrides.get(subsystem) || defaultLevel;
+
+const getLevels = () => ({
+  default: defaultLevel,
+  subsystems: Object.fromEntries(Array.from(subsystems).sort().map(subsystem => [subsystem, {
+    level: levelOf(subsystem),
+    overridden: overrides.has(subsystem)
+  }]))
+});
+
+// { default: 'info', hls: 'warn', whip: null } - null drops the subsystem's
+// own level. Nothing changes unless every entry is valid.
+const setLevels = (changes) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes) || Object.keys(changes).length === 0) {
+    throw new LogLevelError('Body must map subsystems (or "default") to levels');
+  }
+  for (const [subsystem, level] of Object.entries(changes)) {
+    const clearing = level === null && subsystem !== 'default';
+    if (!clearing && !LOG_LEVELS.includes(level)) {
+      throw new LogLevelError(`${subsystem}: level must be one of ${LOG_LEVELS.join(', ')}${subsystem === 'default' ? '' : ' or null'}`);
+    }
+  }
+  for (const [subsystem, level] of Object.entries(changes)) {
+    if (subsystem === 'default') {
+      defaultLevel = level;
+    } else if (level === null) {
+      overrides.delete(subsystem);
+    } else {
+      overrides.set(subsystem, level);
+      subsystems.add(subsystem);
+    }
+  }
+  return getLevels();
+};
+
+// Redaction
+
+const SECRET_KEY = /token|passw|secret|authorization|cookie|credential|api_?key|jwt/i;
+const SDP_KEY = /^(sdp|offer|answer|sdpOffer|answerSdp)$/i;
+const SDP_BODY = /^v=0\r?\n/;
+const MAX_DEPTH = 6;
+const MAX_ITEMS = 50;
+
+const STRING_SECRETS = [
+  [/eyJ[\w-]*\.[\w-]*\.[\w-]*/g, '[redacted]'],
+  [/(Bearer\s+)[^\s"',]+/gi, '$1[redacted]'],
+  [/([?&](?:token|jwt|access_token|password|secret)=)[^&\s"']+/gi, '$1[redacted]'],
+  [/([a-z][\w+.-]*:\/\/[^:/\s@]*:)[^@\s/]+@/gi, '$1[redacted]@'],
+  // SRT streamid action:path:user:token (see utils/streams.js)
+  [/(streamid=(?:publish|read):[^:&\s]+:[^:&\s]*:)[^&\s"']+/g, '$1[redacted]']
+];
+
+const redactString = (value) => {
+  if (SDP_BODY.test(value)) {
+    return `[sdp ${Buffer.byteLength(value)} bytes]`;
+  }
+  return STRING_SECRETS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+};
+
+const serializeError = error => ({
+  name: error.name,
+  message: redactString(String(error.message)),
+  ...(error.status !== undefined ? { status: error.status } : {}),
+  ...(error.code !== undefined ? { code: error.code } : {}),
+  stack: error.stack ? redactString(error.stack) : undefined
+});
+
+const redact = (value, key = '', depth = 0) => {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && SECRET_KEY.test(key)) {
+    return '[redacted]';
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return SDP_KEY.test(key) ? `[sdp ${Buffer.byteLength(value)} bytes]` : redactString(value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[${value.length} bytes]`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.slice(0, MAX_ITEMS).map(item => redact(item, '', depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+};
+
+// Correlation
+
+const context = new AsyncLocalStorage();
+
+// Runs fn with the fields added to whatever context is current
+const withContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// Adds fields to the current context, e.g. the user once a token checked out
+const addContext = (fields) => {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+};
+
+// Output
+
+const formatPretty = ({ time, level, subsystem, msg, ...fields }) => {
+  const { error, ...rest } = fields;
+  // An Error goes under the line as a trace; `{ error: error.message }` is
+  // printed like any other field
+  const isError = error !== null && typeof error === 'object';
+  if (error !== undefined && !isError) {
+    rest.error = error;
+  }
+  const details = Object.entries(rest)
+    .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  const line = `${time} ${level.toUpperCase().padEnd(5)} [${subsystem}] ${msg}${details ? ` ${details}` : ''}`;
+  if (!isError) {
+    return line;
+  }
+  const trace = (error.stack || `${error.name}: ${error.message}`).split('\n').map(text => `  ${text.trim()}`);
+  return [line, ...trace].join('\n');
+};
+
+const write = (level, subsystem, msg, fields) => {
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    subsystem,
+    msg: redactString(String(msg)),
+    ...context.getStore(),
+    ...redact(fields instanceof Error ? { error: fields } : fields || {})
+  };
+  const line = config.logging.format === 'pretty' ? formatPretty(record) : JSON.stringify(record);
+  (SEVERITY[level] <= SEVERITY.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+class Logger {
+  constructor(subsystem) {
+    this.subsystem = subsystem;
+    subsystems.add(subsystem);
+  }
+
+  enabled(level) {
+    return SEVERITY[level] <= SEVERITY[levelOf(this.subsystem)];
+  }
+
+  log(level, msg, fields) {
+    if (this.enabled(level)) {
+      write(level, this.subsystem, msg, fields);
+    }
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+}
+
+const loggers = new Map();
+
+const createLogger = (subsystem) => {
+  if (!loggers.has(subsystem)) {
+    loggers.set(subsystem, new Logger(subsystem));
+  }
+  return loggers.get(subsystem);
+};
+
+// Express middleware: request id + access log. Mount it after the body
+// parsers - their callbacks would otherwise run outside the request context.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+const httpLog = createLogger('http');
+
+const requestContext = () => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startTime = Date.now();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  withContext({ requestId }, () => {
+    res.on('finish', () => {
+      // Segment and playlist fetches make up most requests - only logged at debug
+      httpLog.log(res.statusCode >= 500 ? 'warn' : 'debug', `${req.method} ${req.originalUrl} ${res.statusCode}`, {
+        method: req.method,
+        path: req.originalUrl,
+        status: res.statusCode,
+        durationMs: Date.now() - startTime
+      });
+    });
+    next();
+  });
+};
+
+module.exports = {
+  createLogger,
+  Logger,
+  LogLevelError,
+  getLevels,
+  setLevels,
+  withContext,
+  addContext,
+  requestContext,
+  redact
+};
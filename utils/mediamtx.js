@@ -1,52 +1,359 @@
 // utils/mediamtx.js
-const WebSocket = require('ws');
+// Client for the MediaMTX v3 control API (https://mediamtx.org/docs/references/control-api).
+// Every call goes through request(), which adds a timeout (covering the
+// response body too), retries idempotent calls on network errors/5xx, and
+// turns failures into MediaMTXError. List calls fetch every page unless
+// asked for one. Calls carry the backend's service token, which MediaMTX's
+// auth hook checks for the API like for any other action.
+const { serviceAuthHeaders } = require('./auth');
+const { config } = require('./config');
+
+/**
+ * @typedef {Object} PathTrackInfo
+ * @property {string} codec
+ */
+
+/**
+ * Runtime state of a path (GET /v3/paths/get/{name}).
+ * @typedef {Object} MediaMTXPath
+ * @property {string} name
+ * @property {string} confName
+ * @property {{ type: string, id: string } | null} source
+ * @property {boolean} ready
+ * @property {string | null} readyTime
+ * @property {string[]} tracks
+ * @property {number} bytesReceived
+ * @property {number} bytesSent
+ * @property {{ type: string, id: string }[]} readers
+ */
+
+/**
+ * Path configuration (subset - see the MediaMTX configuration reference).
+ * @typedef {Object} PathConfig
+ * @property {string} [source]
+ * @property {boolean} [sourceOnDemand]
+ * @property {boolean} [overridePublisher]
+ * @property {boolean} [record]
+ * @property {string} [recordPath]
+ * @property {string} [recordFormat]
+ * @property {string} [recordSegmentDuration]
+ * @property {string} [runOnReady]
+ * @property {boolean} [runOnReadyRestart]
+ */
+
+/**
+ * @typedef {Object} MediaMTXList
+ * @property {number} pageCount
+ * @property {number} itemCount
+ * @property {Object[]} items
+ */
+
+/** @typedef {'rtsp' | 'rtsps' | 'rtmp' | 'rtmps' | 'srt' | 'webrtc'} SessionProtocol */
+
+// Session/connection listing endpoints per protocol
+const SESSION_ENDPOINTS = {
+  rtsp: 'rtspsessions',
+  rtsps: 'rtspssessions',
+  rtmp: 'rtmpconns',
+  rtmps: 'rtmpsconns',
+  srt: 'srtconns',
+  webrtc: 'webrtcsessions'
+};
+
+// Path source.type values as reported by /v3/paths -> session protocol
+const SOURCE_TYPE_PROTOCOLS = {
+  rtspSession: 'rtsp',
+  rtspsSession: 'rtsps',
+  rtmpConn: 'rtmp',
+  rtmpsConn: 'rtmps',
+  srtConn: 'srt',
+  webRTCSession: 'webrtc'
+};
+
+class MediaMTXError extends Error {
+  constructor(message, { status = null, method, path, body = null, cause } = {}) {
+    super(message);
+    this.name = 'MediaMTXError';
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  // Network failure or timeout - MediaMTX never answered
+  get isUnavailable() {
+    return this.status === null;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class MediaMTXManager {
-  constructor(serverUrl) {
-    this.serverUrl = serverUrl;
-    this.connections = new Map();
+  constructor({
+    apiUrl = config.mediamtx.urls.api,
+    timeout = 5000,
+    retries = 2,
+    retryDelay = 300,
+    headers = {}
+  } = {}) {
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.timeout = timeout;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.headers = headers;
+  }
+
+  /**
+   * Low-level API call. Resolves with the parsed JSON body (or null when the
+   * response has none) and rejects with MediaMTXError.
+   * @param {string} method
+   * @param {string} path - API path starting with /v3/
+   * @param {{ body?: Object, timeout?: number, idempotent?: boolean }} [options]
+   */
+  async request(method, path, { body, timeout = this.timeout, idempotent = method === 'GET' } = {}) {
+    const attempts = idempotent ? this.retries + 1 : 1;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        return await this.requestOnce(method, path, { body, timeout });
+      } catch (error) {
+        lastError = error;
+        const retryable = error.isUnavailable || error.status >= 500;
+        if (!retryable || attempt === attempts) {
+          break;
+        }
+        await sleep(this.retryDelay * attempt);
+      }
+    }
+
+    throw lastError;
   }
 
-  async createStream(studentId, streamType) {
+  async requestOnce(method, path, { body, timeout }) {
+    // One deadline for the headers and the body - a body that stalls
+    // halfway must not hang the caller
+    const signal = AbortSignal.timeout(timeout);
+
+    let response;
+    let text;
     try {
-      const streamPath = `${studentId}_${streamType}`;
-      const wsUrl = `${this.serverUrl}/${streamPath}`;
-      
-      const ws = new WebSocket(wsUrl);
-      this.connections.set(`${studentId}_${streamType}`, ws);
-      
-      return {
-        success: true,
-        streamPath: streamPath,
-        wsUrl: wsUrl
-      };
+      response = await fetch(`${this.apiUrl}${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...serviceAuthHeaders(),
+          ...this.headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal
+      });
+      text = await response.text();
     } catch (error) {
-      console.error('Failed to create MediaMTX stream:', error);
-      return { success: false, error: error.message };
+      const reason = signal.aborted ? `timed out after ${timeout}ms` : error.message;
+      throw new MediaMTXError(`MediaMTX ${method} ${path} failed: ${reason}`, { method, path, cause: error });
+    }
+
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (parseError) {
+        data = text;
+      }
+    }
+
+    if (!response.ok) {
+      const detail = (data && data.error) || text || response.statusText;
+      throw new MediaMTXError(`MediaMTX ${method} ${path} returned ${response.status}: ${detail}`, {
+        status: response.status,
+        method,
+        path,
+        body: data
+      });
     }
+
+    return data;
   }
 
-  async stopStream(studentId, streamType) {
-    try {
-      const connectionKey = `${studentId}_${streamType}`;
-      const ws = this.connections.get(connectionKey);
-      
-      if (ws) {
-        ws.close();
-        this.connections.delete(connectionKey);
-        return { success: true };
+  /**
+   * GET on a list endpoint. With a page, just that page; without, every
+   * page merged into one list.
+   * @param {string} path - list endpoint without query
+   * @returns {Promise<MediaMTXList>}
+   */
+  async list(path, { page, itemsPerPage = 1000 } = {}) {
+    if (page !== undefined) {
+      return this.request('GET', `${path}?page=${page}&itemsPerPage=${itemsPerPage}`);
+    }
+    const items = [];
+    let pageCount = 1;
+    for (let current = 0; current < pageCount; current++) {
+      const result = await this.request('GET', `${path}?page=${current}&itemsPerPage=${itemsPerPage}`);
+      items.push(...result.items);
+      pageCount = result.pageCount;
+    }
+    return { pageCount, itemCount: items.length, items };
+  }
+
+  // Runtime paths
+
+  /** @returns {Promise<MediaMTXList>} */
+  async listPaths(options) {
+    return this.list('/v3/paths/list', options);
+  }
+
+  /** @returns {Promise<MediaMTXPath>} */
+  async getPath(name) {
+    return this.request('GET', `/v3/paths/get/${encodeURIComponent(name)}`);
+  }
+
+  // Path configuration
+
+  /** @returns {Promise<MediaMTXList>} */
+  async listPathConfigs(options) {
+    return this.list('/v3/config/paths/list', options);
+  }
+
+  /** @returns {Promise<PathConfig>} */
+  async getPathConfig(name) {
+    return this.request('GET', `/v3/config/paths/get/${encodeURIComponent(name)}`);
+  }
+
+  /** @param {string} name @param {PathConfig} config */
+  async addPathConfig(name, config) {
+    return this.request('POST', `/v3/config/paths/add/${encodeURIComponent(name)}`, { body: config });
+  }
+
+  /** @param {string} name @param {PathConfig} config */
+  async patchPathConfig(name, config) {
+    return this.request('PATCH', `/v3/config/paths/patch/${encodeURIComponent(name)}`, {
+      body: config,
+      idempotent: true
+    });
+  }
+
+  /** @param {string} name @param {PathConfig} config */
+  async replacePathConfig(name, config) {
+    return this.request('POST', `/v3/config/paths/replace/${encodeURIComponent(name)}`, {
+      body: config,
+      idempotent: true
+    });
+  }
+
+  async deletePathConfig(name) {
+    return this.request('DELETE', `/v3/config/paths/delete/${encodeURIComponent(name)}`);
+  }
+
+  async getPathDefaults() {
+    return this.request('GET', '/v3/config/pathdefaults/get');
+  }
+
+  async patchPathDefaults(config) {
+    return this.request('PATCH', '/v3/config/pathdefaults/patch', { body: config, idempotent: true });
+  }
+
+  // Global configuration
+
+  async getGlobalConfig() {
+    return this.request('GET', '/v3/config/global/get');
+  }
+
+  async patchGlobalConfig(config) {
+    return this.request('PATCH', '/v3/config/global/patch', { body: config, idempotent: true });
+  }
+
+  // Recordings
+
+  /** @returns {Promise<MediaMTXList>} items: [{ name, segments: [{ start }] }] */
+  async listRecordings(options) {
+    return this.list('/v3/recordings/list', options);
+  }
+
+  /** @returns {Promise<{ name: string, segments: { start: string }[] }>} */
+  async getRecording(name) {
+    return this.request('GET', `/v3/recordings/get/${encodeURIComponent(name)}`);
+  }
+
+  async deleteRecordingSegment(name, start) {
+    const query = `path=${encodeURIComponent(name)}&start=${encodeURIComponent(start)}`;
+    return this.request('DELETE', `/v3/recordings/deletesegment?${query}`);
+  }
+
+  // Sessions / connections
+
+  sessionEndpoint(protocol) {
+    const endpoint = SESSION_ENDPOINTS[protocol];
+    if (!endpoint) {
+      throw new MediaMTXError(`Unknown session protocol: ${protocol}`, {});
+    }
+    return endpoint;
+  }
+
+  /** @param {SessionProtocol} protocol @returns {Promise<MediaMTXList>} */
+  async listSessions(protocol, options) {
+    return this.list(`/v3/${this.sessionEndpoint(protocol)}/list`, options);
+  }
+
+  /** @param {SessionProtocol} protocol */
+  async getSession(protocol, id) {
+    return this.request('GET', `/v3/${this.sessionEndpoint(protocol)}/get/${encodeURIComponent(id)}`);
+  }
+
+  /** @param {SessionProtocol} protocol */
+  async kickSession(protocol, id) {
+    return this.request('POST', `/v3/${this.sessionEndpoint(protocol)}/kick/${encodeURIComponent(id)}`);
+  }
+
+  // Sessions of every protocol, tagged with `protocol`. Protocols that are
+  // disabled in MediaMTX answer 404 and are skipped.
+  async listAllSessions() {
+    const result = [];
+    for (const protocol of Object.keys(SESSION_ENDPOINTS)) {
+      try {
+        const { items } = await this.listSessions(protocol);
+        result.push(...items.map(item => ({ ...item, protocol })));
+      } catch (error) {
+        if (!error.isNotFound) {
+          throw error;
+        }
       }
-      
-      return { success: false, error: 'Stream not found' };
-    } catch (error) {
-      console.error('Failed to stop MediaMTX stream:', error);
-      return { success: false, error: error.message };
     }
+    return result;
   }
 
-  getActiveStreams() {
-    return Array.from(this.connections.keys());
+  // Kicks whoever is currently publishing to a path. Resolves false when the
+  // path has no publisher.
+  async kickPublisher(name) {
+    let path;
+    try {
+      path = await this.getPath(name);
+    } catch (error) {
+      if (error.isNotFound) {
+        return false;
+      }
+      throw error;
+    }
+
+    const protocol = path.source && SOURCE_TYPE_PROTOCOLS[path.source.type];
+    if (!protocol) {
+      return false;
+    }
+
+    await this.kickSession(protocol, path.source.id);
+    return true;
   }
 }
 
 module.exports = MediaMTXManager;
+module.exports.MediaMTXManager = MediaMTXManager;
+module.exports.MediaMTXError = MediaMTXError;
+module.exports.SESSION_ENDPOINTS = SESSION_ENDPOINTS;
+module.exports.SOURCE_TYPE_PROTOCOLS = SOURCE_TYPE_PROTOCOLS;
@@ -0,0 +1,170 @@
+// utils/mediamtxConfig.js
+// Renders the MediaMTX YAML from utils/config.js. The managed binary is
+// started with the rendered file; run `npm run mediamtx:config` to print it
+// for a MediaMTX that runs elsewhere.
+const fs = require('fs');
+const path = require('path');
+const { config: defaultConfig } = require('./config');
+const { mediamtxIceServers } = require('./turn');
+
+const yes = (value) => (value ? 'yes' : 'no');
+
+// JSON strings are valid YAML scalars and need no further escaping
+const scalar = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+const list = (items) => `[${items.map(scalar).join(', ')}]`;
+
+const buildSections = (config) => {
+  const { mediamtx, recording, auth } = config;
+  const { hls, webrtc, rtmp, rtmps, srt, rtsp, playback } = mediamtx;
+
+  return [
+    ['General', {
+      logLevel: mediamtx.logLevel,
+      logDestinations: ['stdout'],
+      readTimeout: mediamtx.readTimeout,
+      writeTimeout: mediamtx.writeTimeout
+    }],
+    // Publish/read permissions are decided by routes/mediamtxHooks.js; the
+    // metrics and pprof listeners skip the hook. The control API does not:
+    // it can add, patch and delete paths and kick sessions, so only the
+    // backend's service token gets through.
+    ['Authentication (backend hook)', {
+      authMethod: 'http',
+      authHTTPAddress: auth.hookSecret ? `${auth.hookUrl}?secret=${encodeURIComponent(auth.hookSecret)}` : auth.hookUrl,
+      authHTTPExclude: [{ action: 'metrics' }, { action: 'pprof' }]
+    }],
+    ['Control API', {
+      api: true,
+      apiAddress: `:${mediamtx.api.port}`,
+      apiAllowOrigin: '*'
+    }],
+    ['HLS', hls.enabled ? {
+      hls: true,
+      hlsAddress: `:${hls.port}`,
+      hlsAllowOrigin: '*',
+      hlsAlwaysRemux: hls.alwaysRemux,
+      hlsVariant: hls.variant,
+      hlsSegmentCount: hls.segmentCount,
+      hlsSegmentDuration: hls.segmentDuration,
+      hlsPartDuration: hls.partDuration,
+      hlsSegmentMaxSize: hls.segmentMaxSize
+    } : { hls: false }],
+    // RTMPS runs on the RTMP server: 'optional' serves both, 'strict' only TLS
+    ['RTMP', rtmp.enabled || rtmps.enabled ? {
+      rtmp: true,
+      rtmpAddress: `:${rtmp.port}`,
+      rtmpEncryption: !rtmps.enabled ? 'no' : rtmp.enabled ? 'optional' : 'strict',
+      ...(rtmps.enabled && {
+        rtmpsAddress: `:${rtmps.port}`,
+        rtmpServerKey: rtmps.serverKey,
+        rtmpServerCert: rtmps.serverCert
+      })
+    } : { rtmp: false }],
+    ['SRT', srt.enabled ? {
+      srt: true,
+      srtAddress: `:${srt.port}`
+    } : { srt: false }],
+    ['WebRTC', webrtc.enabled ? {
+      webrtc: true,
+      webrtcAddress: `:${webrtc.port}`,
+      webrtcAllowOrigin: '*',
+      webrtcLocalUDPAddress: `:${webrtc.localUDPPort}`,
+      webrtcLocalTCPAddress: `:${webrtc.localTCPPort}`,
+      webrtcIPsFromInterfaces: webrtc.ipsFromInterfaces,
+      webrtcAdditionalHosts: webrtc.additionalHosts,
+      // TURN entries carry the shared secret; MediaMTX issues credentials
+      webrtcICEServers2: mediamtxIceServers(config),
+      webrtcHandshakeTimeout: webrtc.handshakeTimeout,
+      webrtcTrackGatherTimeout: webrtc.trackGatherTimeout
+    } : { webrtc: false }],
+    ['Playback server for recorded segments (proxied by /api/v1/recordings)', playback.enabled ? {
+      playback: true,
+      playbackAddress: `:${playback.port}`
+    } : { playback: false }],
+    ['RTSP', rtsp.enabled ? {
+      rtsp: true,
+      rtspAddress: `:${rtsp.port}`,
+      rtspTransports: rtsp.transports
+    } : { rtsp: false }],
+    // Recording is switched on per path by the backend for exams that ask
+    // for it; these defaults keep old segments listable after that config
+    // is gone.
+    ['Path defaults', {
+      pathDefaults: {
+        source: 'publisher',
+        sourceOnDemand: false,
+        overridePublisher: true,
+        record: false,
+        recordPath: recording.path,
+        recordFormat: recording.format,
+        recordPartDuration: recording.partDuration,
+        recordSegmentDuration: recording.segmentDuration,
+        recordDeleteAfter: '0s'
+      }
+    }],
+    // Stream ready/stopped/reader events are picked up by the backend
+    // polling /v3/paths/list (utils/streamMonitor.js), so no hooks here.
+    ['Paths', {
+      paths: {
+        all_others: { source: 'publisher' }
+      }
+    }]
+  ];
+};
+
+const renderValue = (value, indent) => {
+  const pad = ' '.repeat(indent);
+
+  if (Array.isArray(value)) {
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return ` ${list(value)}`;
+    }
+    // List of maps: first key on the dash line, the rest aligned under it
+    return '\n' + value.map(item => {
+      const lines = Object.entries(item).map(([key, child]) => `${key}:${renderValue(child, indent + 4)}`);
+      return `${pad}  - ${lines.join(`\n${pad}    `)}`;
+    }).join('\n');
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return '\n' + Object.entries(value)
+      .map(([key, child]) => `${pad}  ${key}:${renderValue(child, indent + 2)}`)
+      .join('\n');
+  }
+
+  if (typeof value === 'boolean') {
+    return ` ${yes(value)}`;
+  }
+  return ` ${scalar(value)}`;
+};
+
+const renderMediaMTXConfig = (config = defaultConfig) => {
+  const header = [
+    '# Generated by utils/mediamtxConfig.js from the backend configuration',
+    '# (utils/config.js). Do not edit - change env vars or CONFIG_FILE instead.'
+  ];
+
+  const body = buildSections(config).map(([title, fields]) => {
+    const lines = Object.entries(fields).map(([key, value]) => `${key}:${renderValue(value, 0)}`);
+    return [`# ${title}`, ...lines].join('\n');
+  });
+
+  return `${[header.join('\n'), ...body].join('\n\n')}\n`;
+};
+
+// Writes the rendered YAML for the managed binary; returns its path
+const writeMediaMTXConfig = async (config = defaultConfig, outputPath = path.resolve(config.mediamtx.configOutput)) => {
+  await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.promises.writeFile(outputPath, renderMediaMTXConfig(config));
+  return outputPath;
+};
+
+if (require.main === module) {
+  process.stdout.write(renderMediaMTXConfig());
+}
+
+module.exports = {
+  renderMediaMTXConfig,
+  writeMediaMTXConfig
+};
@@ -0,0 +1,351 @@
+// utils/mediamtxFleet.js
+// Registry of the MediaMTX nodes student paths are spread across.
+//
+// Every node is polled through /v3/paths/list for health and load
+// (publishing/reading sessions and bandwidth). A new path is assigned to the
+// healthy node with the lowest load and stays there; assignments live in the
+// 'pathAssignments' collection so they survive restarts. Paths found
+// publishing on a node without an assignment (e.g. published before a
+// restart) are adopted by that node. An assignment is released when its
+// stream is removed (unassign) or once the path has not been live for
+// `assignmentTtl`, so old streams stop counting as load.
+//
+// The path-scoped calls of MediaMTXManager (getPath, addPathConfig,
+// kickPublisher, ...) are available here too and go to the owning node, so
+// the fleet can be handed to code written against a single MediaMTX.
+// List calls are merged across nodes and tag each item with `node`. A node
+// that fails a poll contributes the paths it had last time, tagged `stale`,
+// and the result is marked `partial` - an unreachable node must not look
+// like all of its streams stopping.
+//
+// Events: 'node-up' (node), 'node-down' (node), 'path-assigned' ({ name, nodeId }),
+//   'path-released' ({ name, nodeId })
+const EventEmitter = require('events');
+const { MediaMTXManager, MediaMTXError } = require('./mediamtx');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mediamtx');
+
+class MediaMTXFleet extends EventEmitter {
+  constructor({ nodes, storage, pollInterval = 5000, bandwidthPerSession = 250000, assignmentTtl = 300000, clientOptions = {} }) {
+    super();
+    this.storage = storage;
+    this.pollInterval = pollInterval;
+    this.bandwidthPerSession = bandwidthPerSession;
+    this.assignmentTtl = assignmentTtl;
+    this.timer = null;
+
+    this.nodes = new Map(nodes.map(node => [node.id, {
+      id: node.id,
+      urls: node.urls,
+      publicHost: node.publicHost || null,
+      weight: node.weight || 1,
+      client: new MediaMTXManager({ apiUrl: node.urls.api, ...clientOptions }),
+      // null until the first poll - treated as usable
+      healthy: null,
+      error: null,
+      lastPolledAt: null,
+      load: { paths: 0, publishers: 0, readers: 0, bytesPerSecond: 0 },
+      lastBytes: null,
+      // Paths from the last successful poll
+      lastPaths: []
+    }]));
+
+    // path name -> node id
+    this.assignments = new Map();
+    // path name -> when it was assigned or last seen publishing (ms)
+    this.activeAt = new Map();
+    // path name -> node id it was last seen publishing on
+    this.seen = new Map();
+  }
+
+  async init() {
+    const stored = await this.storage.list('pathAssignments');
+    for (const { name, nodeId, assignedAt } of stored) {
+      if (this.nodes.has(nodeId)) {
+        this.assignments.set(name, nodeId);
+        this.activeAt.set(name, new Date(assignedAt).getTime());
+      }
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.listPaths().catch(() => {});
+    }, this.pollInterval);
+    this.listPaths().catch(() => {});
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get defaultNode() {
+    return this.nodes.values().next().value;
+  }
+
+  getNode(nodeId) {
+    return this.nodes.get(nodeId) || null;
+  }
+
+  // Health and load
+
+  async pollNode(node) {
+    const now = Date.now();
+    try {
+      const { items } = await node.client.listPaths();
+      const bytes = items.reduce((sum, path) => sum + (path.bytesReceived || 0) + (path.bytesSent || 0), 0);
+      const elapsed = node.lastPolledAt ? (now - node.lastPolledAt.getTime()) / 1000 : 0;
+
+      node.load = {
+        paths: items.length,
+        publishers: items.filter(path => path.ready).length,
+        readers: items.reduce((sum, path) => sum + (path.readers || []).length, 0),
+        bytesPerSecond: node.lastBytes !== null && elapsed > 0 && bytes >= node.lastBytes
+          ? Math.round((bytes - node.lastBytes) / elapsed)
+          : node.load.bytesPerSecond
+      };
+      node.lastBytes = bytes;
+      node.lastPolledAt = new Date(now);
+      node.error = null;
+      this.setHealthy(node, true);
+
+      for (const path of items) {
+        if (path.ready) {
+          this.seen.set(path.name, node.id);
+          this.activeAt.set(path.name, now);
+          if (!this.assignments.has(path.name)) {
+            await this.saveAssignment(path.name, node.id);
+          }
+        }
+      }
+      await this.expireAssignments(node, now);
+      node.lastPaths = items.map(path => ({ ...path, node: node.id }));
+      return node.lastPaths;
+    } catch (error) {
+      node.error = error.message;
+      node.lastPolledAt = new Date(now);
+      this.setHealthy(node, false);
+      throw error;
+    }
+  }
+
+  setHealthy(node, healthy) {
+    if (node.healthy === healthy) {
+      return;
+    }
+    const wasKnown = node.healthy !== null;
+    node.healthy = healthy;
+    if (healthy) {
+      if (wasKnown) log.info('MediaMTX node is back', { node: node.id });
+      this.emit('node-up', node);
+    } else {
+      log.error('MediaMTX node is down', { node: node.id, error: node.error });
+      this.emit('node-down', node);
+    }
+  }
+
+  // Sessions on the node (publishers + readers, plus paths assigned but not
+  // publishing yet) with bandwidth converted to session equivalents,
+  // divided by the node's weight.
+  score(node) {
+    let pending = 0;
+    for (const [name, nodeId] of this.assignments) {
+      if (nodeId === node.id && this.seen.get(name) !== node.id) {
+        pending++;
+      }
+    }
+    const { publishers, readers, bytesPerSecond } = node.load;
+    return (publishers + readers + pending + bytesPerSecond / this.bandwidthPerSession) / node.weight;
+  }
+
+  // Path assignment
+
+  async saveAssignment(name, nodeId) {
+    this.assignments.set(name, nodeId);
+    this.activeAt.set(name, Date.now());
+    await this.storage.set('pathAssignments', name, { name, nodeId, assignedAt: new Date() });
+    this.emit('path-assigned', { name, nodeId });
+  }
+
+  // Drops the path's assignment, e.g. once its stream has been removed
+  async unassign(name) {
+    const nodeId = this.assignments.get(name);
+    this.assignments.delete(name);
+    this.activeAt.delete(name);
+    this.seen.delete(name);
+    await this.storage.delete('pathAssignments', name);
+    if (nodeId) {
+      this.emit('path-released', { name, nodeId });
+    }
+  }
+
+  // Releases the node's assignments whose paths have not been live for
+  // assignmentTtl. One another replica (re)assigned in the meantime is
+  // only forgotten here, not deleted.
+  async expireAssignments(node, now) {
+    for (const [name, nodeId] of this.assignments) {
+      if (nodeId !== node.id || now - (this.activeAt.get(name) || 0) < this.assignmentTtl) {
+        continue;
+      }
+      const stored = await this.storage.get('pathAssignments', name);
+      if (stored && (stored.nodeId !== nodeId || now - new Date(stored.assignedAt).getTime() < this.assignmentTtl)) {
+        this.assignments.set(name, stored.nodeId);
+        this.activeAt.set(name, new Date(stored.assignedAt).getTime());
+        continue;
+      }
+      await this.unassign(name);
+      log.debug('Path assignment expired', { path: name, node: nodeId });
+    }
+  }
+
+  // Owning node for a path, assigning the least loaded healthy node when it
+  // has none (or its node is down).
+  async assign(name) {
+    // Another replica sharing the storage may have assigned it already
+    if (!this.assignments.has(name)) {
+      const stored = await this.storage.get('pathAssignments', name);
+      if (stored && this.nodes.has(stored.nodeId)) {
+        this.assignments.set(name, stored.nodeId);
+        this.activeAt.set(name, new Date(stored.assignedAt).getTime());
+      }
+    }
+    const current = this.getNode(this.assignments.get(name));
+    if (current && current.healthy !== false) {
+      return current;
+    }
+
+    const candidates = Array.from(this.nodes.values()).filter(node => node.healthy !== false);
+    if (candidates.length === 0) {
+      throw new MediaMTXError(`No healthy MediaMTX node for ${name}`, { method: 'ASSIGN', path: name });
+    }
+    const node = candidates.reduce((best, candidate) => (this.score(candidate) < this.score(best) ? candidate : best));
+
+    await this.saveAssignment(name, node.id);
+    log.info('Path assigned to MediaMTX node', { path: name, node: node.id, previousNode: current ? current.id : null });
+    return node;
+  }
+
+  // Node a path lives on for reads: its assignment, where it was last seen,
+  // or the first node.
+  nodeFor(name) {
+    return this.getNode(this.assignments.get(name))
+      || this.getNode(this.seen.get(name))
+      || this.defaultNode;
+  }
+
+  // MediaMTXManager-compatible calls
+
+  async request(method, path, { node: nodeId, ...options } = {}) {
+    const node = nodeId ? this.getNode(nodeId) : this.defaultNode;
+    if (!node) {
+      throw new MediaMTXError(`Unknown MediaMTX node: ${nodeId}`, { status: 404, method, path });
+    }
+    return node.client.request(method, path, options);
+  }
+
+  async listPaths() {
+    const nodes = Array.from(this.nodes.values());
+    const results = await Promise.allSettled(nodes.map(node => this.pollNode(node)));
+    if (results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+    const failedNodes = nodes.filter((node, index) => results[index].status === 'rejected').map(node => node.id);
+    const items = results.flatMap((result, index) => (result.status === 'fulfilled'
+      ? result.value
+      : nodes[index].lastPaths.map(path => ({ ...path, stale: true }))));
+    return { pageCount: 1, itemCount: items.length, items, partial: failedNodes.length > 0, failedNodes };
+  }
+
+  async getPath(name) {
+    return this.nodeFor(name).client.getPath(name);
+  }
+
+  async getPathConfig(name) {
+    return this.nodeFor(name).client.getPathConfig(name);
+  }
+
+  async addPathConfig(name, config) {
+    return (await this.assign(name)).client.addPathConfig(name, config);
+  }
+
+  async patchPathConfig(name, config) {
+    return (await this.assign(name)).client.patchPathConfig(name, config);
+  }
+
+  async replacePathConfig(name, config) {
+    return (await this.assign(name)).client.replacePathConfig(name, config);
+  }
+
+  async deletePathConfig(name) {
+    return this.nodeFor(name).client.deletePathConfig(name);
+  }
+
+  async kickPublisher(name) {
+    return this.nodeFor(name).client.kickPublisher(name);
+  }
+
+  // Sessions aren't path-scoped, so the caller names the node (e.g. the
+  // `node` a listed path is tagged with)
+  async getSession(protocol, id, { node: nodeId } = {}) {
+    const node = this.getNode(nodeId) || this.defaultNode;
+    return node.client.getSession(protocol, id);
+  }
+
+  // Nodes known to be down are skipped, as are those that fail to answer
+  async listRecordings() {
+    const nodes = Array.from(this.nodes.values()).filter(node => node.healthy !== false);
+    if (nodes.length === 0) {
+      throw new MediaMTXError('No healthy MediaMTX node to list recordings from', { method: 'GET', path: '/v3/recordings/list' });
+    }
+    const results = await Promise.allSettled(nodes.map(async (node) => {
+      const { items } = await node.client.listRecordings();
+      return items.map(recording => ({ ...recording, node: node.id }));
+    }));
+    const fulfilled = results.filter(result => result.status === 'fulfilled');
+    if (fulfilled.length === 0) {
+      throw results[0].reason;
+    }
+    const items = fulfilled.flatMap(result => result.value);
+    return { pageCount: 1, itemCount: items.length, items };
+  }
+
+  // Nodes holding recorded segments of a path. Not necessarily the one it is
+  // assigned to: assignments move between nodes and are released at exam end.
+  async recordingNodes(name) {
+    const nodes = Array.from(this.nodes.values()).filter(node => node.healthy !== false);
+    const results = await Promise.allSettled(nodes.map(node => node.client.getRecording(name)));
+    return nodes.filter((node, index) => results[index].status === 'fulfilled');
+  }
+
+  async deleteRecordingSegment(name, start, { node: nodeId } = {}) {
+    const node = this.getNode(nodeId) || this.nodeFor(name);
+    return node.client.deleteRecordingSegment(name, start);
+  }
+
+  getStatus() {
+    const assigned = {};
+    for (const nodeId of this.assignments.values()) {
+      assigned[nodeId] = (assigned[nodeId] || 0) + 1;
+    }
+    return Array.from(this.nodes.values()).map(node => ({
+      id: node.id,
+      apiUrl: node.urls.api,
+      publicHost: node.publicHost,
+      weight: node.weight,
+      healthy: node.healthy,
+      error: node.error,
+      lastPolledAt: node.lastPolledAt,
+      load: node.load,
+      score: Math.round(this.score(node) * 100) / 100,
+      assignedPaths: assigned[node.id] || 0
+    }));
+  }
+}
+
+module.exports = MediaMTXFleet;
+module.exports.MediaMTXFleet = MediaMTXFleet;
@@ -0,0 +1,426 @@
+// utils/mediamtxSupervisor.js
+// Runs the MediaMTX binary as a child process and keeps it healthy:
+//   - restarts after a crash with exponential backoff, giving up after
+//     maxRestarts crashes in a row (a run longer than stableAfter resets the
+//     count)
+//   - liveness: TCP connect to the API port; a process that stays unreachable
+//     for livenessThreshold probes is killed and restarted
+//   - readiness: GET /v3/config/global/get answers
+//   - stdout/stderr are parsed into { level, component, message } entries,
+//     plus the path, session, connection and protocol MediaMTX tags lines
+//     with, and logged under the 'mediamtx' subsystem
+//   - config changes go through /v3/config/global/patch and are re-applied
+//     after every restart, so the binary never has to be restarted for them
+//
+// With managed: false (MediaMTX runs elsewhere) only the probes run.
+//
+// Events:
+//   'log'       ({ time, level, component, message, stream, protocol, path, session, remoteAddr })
+//   'ready'     ()
+//   'unready'   ()
+//   'exit'      ({ code, signal })
+//   'failed'    ({ restarts })
+const EventEmitter = require('events');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { createLogger } = require('./logger');
+
+const log = createLogger('supervisor');
+const mediamtxLog = createLogger('mediamtx');
+
+// `2024/05/06 10:00:00 INF [RTSP] [conn 10.0.0.5:51234] [session 4c2a1b9e] is reading from path 's1_camera'`
+const LOG_LINE = /^(\d{4}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}) (DEB|INF|WAR|ERR) (.*)$/;
+const LOG_LEVELS = { DEB: 'debug', INF: 'info', WAR: 'warn', ERR: 'error' };
+const TAG = /^\[([^\]]+)\] /;
+// `[path s1_camera]`, `[WebRTC session 1a2b]`, `[muxer s1_camera]`, ...
+const TAG_FIELDS = { path: 'path', muxer: 'path', session: 'session', conn: 'remoteAddr' };
+
+const parseLogLine = (line, stream) => {
+  const match = LOG_LINE.exec(line);
+  if (!match) {
+    return { time: new Date(), level: stream === 'stderr' ? 'error' : 'info', component: null, message: line, stream };
+  }
+  const [, time, level] = match;
+  let message = match[3];
+  const entry = {
+    time: new Date(time.replace(/\//g, '-').replace(' ', 'T')),
+    level: LOG_LEVELS[level],
+    component: null,
+    message,
+    stream
+  };
+
+  let tag;
+  while ((tag = TAG.exec(message))) {
+    const words = tag[1].split(' ');
+    entry.component = entry.component || tag[1];
+    if (words.length === 1) {
+      entry.protocol = words[0];
+    } else if (TAG_FIELDS[words[words.length - 2]]) {
+      entry[TAG_FIELDS[words[words.length - 2]]] = words[words.length - 1];
+      if (words.length === 3) {
+        entry.protocol = words[0];
+      }
+    }
+    message = message.slice(tag[0].length);
+  }
+  entry.message = message;
+  // `is publishing to path 's1_camera'`
+  const pathMention = /\bpath '([^']+)'/.exec(message);
+  if (!entry.path && pathMention) {
+    entry.path = pathMention[1];
+  }
+  return entry;
+};
+
+class MediaMTXSupervisor extends EventEmitter {
+  constructor({
+    mediamtx,
+    binary = process.platform === 'win32' ? './mediamtx.exe' : './mediamtx',
+    configPath = './mediamtx.generated.yml',
+    cwd = process.cwd(),
+    env = process.env,
+    managed = true,
+    initialDelay = 1000,
+    maxDelay = 60000,
+    maxRestarts = 10,
+    stableAfter = 60000,
+    probeInterval = 5000,
+    probeTimeout = 2000,
+    livenessThreshold = 3,
+    killTimeout = 5000
+  }) {
+    super();
+    this.mediamtx = mediamtx;
+    this.binary = path.resolve(cwd, binary);
+    this.configPath = path.resolve(cwd, configPath);
+    this.cwd = cwd;
+    this.env = env;
+    this.managed = managed;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.maxRestarts = maxRestarts;
+    this.stableAfter = stableAfter;
+    this.probeInterval = probeInterval;
+    this.probeTimeout = probeTimeout;
+    this.livenessThreshold = livenessThreshold;
+    this.killTimeout = killTimeout;
+
+    // 'idle' | 'starting' | 'running' | 'backoff' | 'failed' | 'stopping' | 'stopped' | 'external'
+    this.state = 'idle';
+    this.child = null;
+    this.startedAt = null;
+    this.restarts = 0;
+    this.lastExit = null;
+    this.lastError = null;
+    this.nextRestartAt = null;
+    this.restartTimer = null;
+    this.probeTimer = null;
+    this.live = false;
+    this.ready = false;
+    this.livenessFailures = 0;
+    this.lastProbeAt = null;
+    // Global config patches applied at runtime, re-applied after restarts
+    this.runtimeConfig = {};
+    this.configApplied = false;
+  }
+
+  async start() {
+    if (this.probeTimer) {
+      return;
+    }
+    this.probeTimer = setInterval(() => this.probe(), this.probeInterval);
+
+    if (!this.managed) {
+      this.state = 'external';
+      log.info('Using external MediaMTX', { apiUrl: this.mediamtx.apiUrl });
+      return this.probe();
+    }
+    await this.spawnProcess();
+  }
+
+  async stop() {
+    clearInterval(this.probeTimer);
+    clearTimeout(this.restartTimer);
+    this.probeTimer = null;
+    this.restartTimer = null;
+    this.nextRestartAt = null;
+
+    const { child } = this;
+    if (!child) {
+      this.state = 'stopped';
+      return;
+    }
+
+    this.state = 'stopping';
+    log.info('Stopping MediaMTX process', { pid: child.pid });
+    await new Promise((resolve) => {
+      const forceKill = setTimeout(() => child.kill('SIGKILL'), this.killTimeout);
+      child.once('exit', () => {
+        clearTimeout(forceKill);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+  }
+
+  // Clears a 'failed' state (or cuts a backoff short) and starts again
+  async restart() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.nextRestartAt = null;
+    this.restarts = 0;
+
+    if (!this.managed) {
+      return this.probe();
+    }
+    if (this.child) {
+      // The exit handler brings it back up
+      this.child.kill('SIGTERM');
+      return;
+    }
+    if (!this.probeTimer) {
+      return this.start();
+    }
+    await this.spawnProcess();
+  }
+
+  async ensureExecutable() {
+    try {
+      await fs.promises.access(this.binary, fs.constants.X_OK);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`MediaMTX binary not found at ${this.binary}`);
+      }
+      await fs.promises.chmod(this.binary, 0o755);
+      log.info('MediaMTX binary permissions fixed', { binary: this.binary });
+    }
+  }
+
+  async spawnProcess() {
+    this.state = 'starting';
+    this.nextRestartAt = null;
+    this.configApplied = false;
+
+    try {
+      await this.ensureExecutable();
+    } catch (error) {
+      this.lastError = error.message;
+      log.error(error.message, { binary: this.binary });
+      return this.scheduleRestart();
+    }
+    // stop() was called while checking the binary
+    if (this.state !== 'starting') {
+      return;
+    }
+
+    log.info('Starting MediaMTX', { binary: path.basename(this.binary), configPath: path.basename(this.configPath) });
+    const child = spawn(this.binary, [this.configPath], {
+      cwd: this.cwd,
+      env: this.env,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    this.child = child;
+    this.startedAt = Date.now();
+
+    readline.createInterface({ input: child.stdout }).on('line', line => this.handleLog(line, 'stdout'));
+    readline.createInterface({ input: child.stderr }).on('line', line => this.handleLog(line, 'stderr'));
+
+    child.on('spawn', () => {
+      if (this.state === 'starting') {
+        this.state = 'running';
+      }
+      log.info('MediaMTX process started', { pid: child.pid });
+    });
+
+    // 'error' without 'exit' means the process never started
+    child.on('error', (error) => {
+      this.lastError = error.message;
+      log.error('MediaMTX spawn error', { error });
+      if (child.pid === undefined) {
+        this.handleExit(child, { code: null, signal: null });
+      }
+    });
+
+    child.on('exit', (code, signal) => this.handleExit(child, { code, signal }));
+  }
+
+  handleLog(line, stream) {
+    if (!line.trim()) {
+      return;
+    }
+    const entry = parseLogLine(line, stream);
+    this.emit('log', entry);
+
+    if (entry.level === 'error') {
+      this.lastError = entry.message;
+    }
+    const { time, level, message, ...fields } = entry;
+    mediamtxLog.log(level, message, { ...fields, mediamtxTime: time, pid: this.child ? this.child.pid : null });
+  }
+
+  handleExit(child, { code, signal }) {
+    if (child !== this.child) {
+      return;
+    }
+    this.child = null;
+    this.lastExit = { code, signal, at: new Date() };
+    this.setReady(false);
+    this.live = false;
+    this.livenessFailures = 0;
+    this.emit('exit', { code, signal });
+
+    if (this.state === 'stopping') {
+      this.state = 'stopped';
+      log.info('MediaMTX stopped', { code, signal });
+      return;
+    }
+
+    log.error('MediaMTX exited unexpectedly', { code, signal });
+    if (this.startedAt && Date.now() - this.startedAt >= this.stableAfter) {
+      this.restarts = 0;
+    }
+    this.scheduleRestart();
+  }
+
+  scheduleRestart() {
+    if (this.state === 'stopping' || this.state === 'stopped') {
+      return;
+    }
+    if (this.restarts >= this.maxRestarts) {
+      this.state = 'failed';
+      log.error('MediaMTX keeps failing - giving up until restarted manually', { restarts: this.restarts });
+      this.emit('failed', { restarts: this.restarts });
+      return;
+    }
+
+    const delay = Math.min(this.maxDelay, this.initialDelay * 2 ** this.restarts);
+    this.restarts++;
+    this.state = 'backoff';
+    this.nextRestartAt = new Date(Date.now() + delay);
+    log.warn('Restarting MediaMTX', { delayMs: delay, attempt: this.restarts, maxRestarts: this.maxRestarts });
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.spawnProcess().catch(error => {
+        log.error('MediaMTX restart failed', { error });
+      });
+    }, delay);
+  }
+
+  // Probes
+
+  checkLiveness() {
+    const { hostname, port } = new URL(this.mediamtx.apiUrl);
+    return new Promise((resolve) => {
+      const socket = net.connect({ host: hostname, port: Number(port) || 80 });
+      const done = (live) => {
+        socket.destroy();
+        resolve(live);
+      };
+      socket.setTimeout(this.probeTimeout, () => done(false));
+      socket.once('connect', () => done(true));
+      socket.once('error', () => done(false));
+    });
+  }
+
+  async checkReadiness() {
+    try {
+      await this.mediamtx.request('GET', '/v3/config/global/get', {
+        timeout: this.probeTimeout,
+        idempotent: false
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async probe() {
+    if (this.managed && this.state !== 'running') {
+      return;
+    }
+    this.lastProbeAt = new Date();
+
+    this.live = await this.checkLiveness();
+    if (!this.live) {
+      this.setReady(false);
+      this.livenessFailures++;
+      // Give a freshly started process time to open its listeners
+      if (this.managed && this.child && this.livenessFailures >= this.livenessThreshold) {
+        log.error('MediaMTX API unreachable - killing the process', { probes: this.livenessFailures, pid: this.child.pid });
+        this.lastError = 'Liveness probe failed';
+        this.child.kill('SIGKILL');
+      }
+      return;
+    }
+    this.livenessFailures = 0;
+
+    const ready = await this.checkReadiness();
+    if (ready && !this.configApplied) {
+      await this.reapplyConfig();
+    }
+    this.setReady(ready);
+  }
+
+  setReady(ready) {
+    if (ready === this.ready) {
+      return;
+    }
+    this.ready = ready;
+    if (ready) {
+      log.info('MediaMTX is ready');
+    }
+    this.emit(ready ? 'ready' : 'unready');
+  }
+
+  // Runtime configuration
+
+  // Patches MediaMTX's global config without a restart. The patch is kept
+  // and replayed whenever the process comes back up.
+  async applyConfig(patch) {
+    await this.mediamtx.patchGlobalConfig(patch);
+    Object.assign(this.runtimeConfig, patch);
+    log.info('MediaMTX config updated', { settings: Object.keys(patch) });
+    return this.runtimeConfig;
+  }
+
+  async reapplyConfig() {
+    if (Object.keys(this.runtimeConfig).length > 0) {
+      try {
+        await this.mediamtx.patchGlobalConfig(this.runtimeConfig);
+        log.info('Re-applied runtime MediaMTX config', { settings: Object.keys(this.runtimeConfig) });
+      } catch (error) {
+        log.error('Could not re-apply MediaMTX config', { error });
+        return;
+      }
+    }
+    this.configApplied = true;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      managed: this.managed,
+      pid: this.child ? this.child.pid : null,
+      live: this.live,
+      ready: this.ready,
+      startedAt: this.child && this.startedAt ? new Date(this.startedAt) : null,
+      uptime: this.child && this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0,
+      restarts: this.restarts,
+      maxRestarts: this.maxRestarts,
+      nextRestartAt: this.nextRestartAt,
+      lastExit: this.lastExit,
+      lastError: this.lastError,
+      lastProbeAt: this.lastProbeAt,
+      runtimeConfig: this.runtimeConfig
+    };
+  }
+}
+
+module.exports = MediaMTXSupervisor;
+module.exports.MediaMTXSupervisor = MediaMTXSupervisor;
+module.exports.parseLogLine = parseLogLine;
@@ -0,0 +1,218 @@
+// utils/metrics.js
+// Prometheus metrics behind GET /metrics, in a registry of their own.
+//
+// Counters and histograms are fed by the code that does the work (WHIP/WHEP
+// proxy and signaling relay, publish negotiation, HLS proxy, the MediaMTX
+// supervisor). Gauges are read at scrape time from what the backend
+// already tracks:
+//
+//   sockets         this replica's Socket.IO connections, by role and room
+//   paths           the stream monitor's last poll of MediaMTX
+//   MediaMTX nodes  the fleet's health checks
+//
+// Each replica reports its own sockets and requests; path and node gauges
+// describe the whole fleet on every replica, so aggregate those with max()
+// rather than sum().
+const crypto = require('crypto');
+const client = require('prom-client');
+
+const PREFIX = 'proctoring_';
+
+class Metrics {
+  constructor({ io, sessionStore, mediamtx, mediamtxSupervisor, streamMonitor, settings }) {
+    this.io = io;
+    this.sessionStore = sessionStore;
+    this.mediamtx = mediamtx;
+    this.mediamtxSupervisor = mediamtxSupervisor;
+    this.streamMonitor = streamMonitor;
+    this.settings = settings;
+    this.registry = new client.Registry();
+    const self = this;
+
+    if (settings.processMetrics) {
+      client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+    }
+
+    // Requests
+
+    this.webrtcRequests = new client.Counter({
+      name: `${PREFIX}webrtc_requests_total`,
+      help: 'WHIP/WHEP offers sent to MediaMTX, by how they arrived and how they ended',
+      labelNames: ['kind', 'via', 'outcome'],
+      registers: [this.registry]
+    });
+    this.webrtcResponseTime = new client.Histogram({
+      name: `${PREFIX}webrtc_response_seconds`,
+      help: 'Time until MediaMTX answered (or failed) a WHIP/WHEP offer',
+      labelNames: ['kind', 'via', 'outcome'],
+      buckets: settings.webrtcBuckets,
+      registers: [this.registry]
+    });
+    this.publishFallbacks = new client.Counter({
+      name: `${PREFIX}publish_fallbacks_total`,
+      help: 'Publish negotiations that moved a student off WHIP, by the protocol offered first',
+      labelNames: ['protocol'],
+      registers: [this.registry]
+    });
+    this.hlsRequests = new client.Counter({
+      name: `${PREFIX}hls_requests_total`,
+      help: 'HLS proxy requests, by stream, file type and response status',
+      labelNames: ['stream', 'type', 'status'],
+      registers: [this.registry]
+    });
+    this.hlsBytes = new client.Counter({
+      name: `${PREFIX}hls_bytes_total`,
+      help: 'Bytes sent to players by the HLS proxy',
+      labelNames: ['stream', 'type'],
+      registers: [this.registry]
+    });
+    this.mediamtxRestarts = new client.Counter({
+      name: `${PREFIX}mediamtx_restarts_total`,
+      help: 'Times the managed MediaMTX process exited without being asked to',
+      registers: [this.registry]
+    });
+
+    mediamtxSupervisor.on('exit', () => {
+      // 'exit' is emitted before a requested stop marks the state 'stopped'
+      if (mediamtxSupervisor.state !== 'stopping') {
+        this.mediamtxRestarts.inc();
+      }
+    });
+
+    // Scrape-time gauges
+
+    new client.Gauge({
+      name: `${PREFIX}sockets`,
+      help: 'Socket.IO connections to this replica, by role and room ("" before joining one)',
+      labelNames: ['role', 'room'],
+      registers: [this.registry],
+      async collect() {
+        this.reset();
+        for (const [labels, count] of await self.socketCounts()) {
+          this.set(JSON.parse(labels), count);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: `${PREFIX}mediamtx_ready`,
+      help: 'Whether the MediaMTX this replica runs or watches answers its API',
+      registers: [this.registry],
+      collect() {
+        this.set(mediamtxSupervisor.ready ? 1 : 0);
+      }
+    });
+    new client.Gauge({
+      name: `${PREFIX}mediamtx_node_healthy`,
+      help: 'Whether a MediaMTX node passed its last health check',
+      labelNames: ['node'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        for (const node of mediamtx.nodes.values()) {
+          this.set({ node: node.id }, node.healthy === false ? 0 : 1);
+        }
+      }
+    });
+    new client.Gauge({
+      name: `${PREFIX}mediamtx_node_bytes_per_second`,
+      help: 'Bytes received plus sent per second by a MediaMTX node',
+      labelNames: ['node'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        for (const node of mediamtx.nodes.values()) {
+          this.set({ node: node.id }, (node.load && node.load.bytesPerSecond) || 0);
+        }
+      }
+    });
+
+    this.pathGauge('path_ready', 'Whether a MediaMTX path has a publisher', path => (path.ready ? 1 : 0));
+    this.pathGauge('path_readers', 'Readers (WebRTC, HLS, RTSP, ...) attached to a MediaMTX path', path => (path.readers || []).length);
+    this.pathGauge('path_bytes_received', 'Bytes a MediaMTX path received since it was created', path => path.bytesReceived || 0);
+    this.pathGauge('path_ingress_bitrate_bits', 'Bits per second a MediaMTX path received between the last two polls',
+      path => streamMonitor.getIngressBitrate(path.name));
+  }
+
+  // Gauge with one series per path from the stream monitor's last poll
+  pathGauge(name, help, valueOf) {
+    const { streamMonitor } = this;
+    return new client.Gauge({
+      name: `${PREFIX}${name}`,
+      help,
+      labelNames: ['path', 'node'],
+      registers: [this.registry],
+      collect() {
+        this.reset();
+        for (const path of streamMonitor.paths.values()) {
+          const value = valueOf(path);
+          if (value !== null) {
+            this.set({ path: path.name, node: path.node || '' }, value);
+          }
+        }
+      }
+    });
+  }
+
+  // JSON-encoded { role, room } -> connections on this replica. The room
+  // comes from the socket's join record, the role from its token.
+  async socketCounts() {
+    const joined = new Map((await this.sessionStore.listSockets())
+      .filter(info => info.instanceId === this.sessionStore.instanceId)
+      .map(info => [info.socketId, info]));
+
+    const counts = new Map();
+    for (const socket of this.io.of('/').sockets.values()) {
+      const info = joined.get(socket.id);
+      const role = (info && info.role) || (socket.data.user && socket.data.user.role) || 'unknown';
+      const key = JSON.stringify({ role, room: (info && info.roomId) || '' });
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // kind: 'whip'|'whep', via: 'proxy'|'signaling',
+  // outcome: 'success'|'rejected'|'timeout'|'error'
+  observeWebRTC({ kind, via, outcome, seconds }) {
+    this.webrtcRequests.inc({ kind, via, outcome });
+    if (seconds !== undefined) {
+      this.webrtcResponseTime.observe({ kind, via, outcome }, seconds);
+    }
+  }
+
+  countFallback(protocol) {
+    this.publishFallbacks.inc({ protocol: protocol || 'none' });
+  }
+
+  // type: 'playlist'|'media'|'page'
+  countHlsRequest(stream, type, status) {
+    this.hlsRequests.inc({ stream, type, status: String(status) });
+  }
+
+  countHlsBytes(stream, type, bytes) {
+    if (bytes > 0) {
+      this.hlsBytes.inc({ stream, type }, bytes);
+    }
+  }
+
+  // Without a token configured anyone who can reach the port may scrape
+  authorize(req) {
+    if (!this.settings.token) {
+      return true;
+    }
+    const expected = Buffer.from(`Bearer ${this.settings.token}`);
+    const actual = Buffer.from(String(req.headers.authorization || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = Metrics;
+module.exports.Metrics = Metrics;
@@ -0,0 +1,205 @@
+// utils/publishNegotiation.js
+// Ingest protocol negotiation for student publishing, behind
+// POST /api/v1/webrtc/streams/:studentId/negotiate.
+//
+// A student that can't get WHIP through (blocked UDP, strict proxies, no
+// WebRTC at all) asks for the ways it may publish instead. Options come in
+// order of preference:
+//
+//   whip        WebRTC over UDP, TURN included
+//   webrtc-tcp  the same WHIP endpoint, relayed through TURN over TCP/TLS
+//               (or straight to MediaMTX's ICE-TCP port without TURN)
+//   rtmp/rtmps  server URL + stream key, for OBS or a native client
+//   srt         URL with the streamid the auth hook expects
+//
+// An option is skipped when MediaMTX doesn't serve it ('disabled'), the
+// client says it can't speak it ('unsupported') or it already failed for the
+// path in the last few minutes ('failed'). Attempts - reported by the client
+// or recorded by the WHIP proxy - live in 'publishNegotiations' per path.
+//
+// Which transport a student really ended up on is read from MediaMTX when
+// the path goes live and kept in 'publishTransports'.
+const { config } = require('./config');
+const { STREAM_TYPES } = require('./auth');
+const { streamNameFor, srtStreamId } = require('./streams');
+const { iceServersFor } = require('./turn');
+const { SOURCE_TYPE_PROTOCOLS } = require('./mediamtx');
+const { createLogger } = require('./logger');
+
+const log = createLogger('whip');
+
+const INGEST_PROTOCOLS = ['whip', 'webrtc-tcp', 'rtmp', 'rtmps', 'srt'];
+
+// Ingest protocol -> client capability / MediaMTX protocol it needs
+const REQUIRED_PROTOCOL = {
+  whip: 'webrtc',
+  'webrtc-tcp': 'webrtc',
+  rtmp: 'rtmp',
+  rtmps: 'rtmps',
+  srt: 'srt'
+};
+
+const isTcpTurn = url => /^turns:/.test(url) || /[?&]transport=tcp\b/.test(url);
+
+// "type/network/address/port" as MediaMTX reports ICE candidates
+const parseCandidate = (value) => {
+  const [type, network] = String(value || '').split('/');
+  return type && network ? { type, network } : null;
+};
+
+// rtmp://host:port/path?query -> { server: rtmp://host:port, streamKey: path?query }
+const splitRtmpUrl = (url) => {
+  const index = url.indexOf('/', url.indexOf('//') + 2);
+  return { server: url.slice(0, index), streamKey: url.slice(index + 1) };
+};
+
+class PublishNegotiator {
+  constructor({ mediamtx, storage, attemptWindow = 10 * 60 * 1000 }) {
+    this.mediamtx = mediamtx;
+    this.storage = storage;
+    this.attemptWindow = attemptWindow;
+  }
+
+  // Attempts for the path still inside the window
+  async recentAttempts(streamName) {
+    const record = await this.storage.get('publishNegotiations', streamName);
+    const since = Date.now() - this.attemptWindow;
+    return ((record && record.attempts) || []).filter(attempt => new Date(attempt.at).getTime() >= since);
+  }
+
+  // { protocol, outcome: 'failed'|'succeeded', error }
+  async recordAttempt(streamName, { protocol, outcome = 'failed', error = null, source = 'client' }) {
+    if (!INGEST_PROTOCOLS.includes(protocol)) {
+      return null;
+    }
+    const attempts = [
+      ...(await this.recentAttempts(streamName)),
+      { protocol, outcome, error, source, at: new Date() }
+    ];
+    return this.storage.set('publishNegotiations', streamName, { streamName, attempts, updatedAt: new Date() });
+  }
+
+  // Ordered ingest options for the path. `urls` is buildStreamUrls() output
+  // for the student's token; `capabilities` maps webrtc/rtmp/rtmps/srt to
+  // booleans (no object means the client can try anything).
+  async negotiate(streamName, { user, token, urls, capabilities = null, attempts = [] }) {
+    for (const attempt of attempts) {
+      await this.recordAttempt(streamName, attempt || {});
+    }
+    const failed = new Set((await this.recentAttempts(streamName))
+      .filter(attempt => attempt.outcome === 'failed')
+      .map(attempt => attempt.protocol));
+
+    const { iceServers, expiresAt } = iceServersFor(user);
+    const options = [];
+    const skipped = [];
+
+    for (const protocol of INGEST_PROTOCOLS) {
+      const required = REQUIRED_PROTOCOL[protocol];
+      const option = this.buildOption(protocol, streamName, { urls, user, token, iceServers, expiresAt });
+      let reason = null;
+      if (!config.mediamtx[required].enabled || !option) {
+        reason = 'disabled';
+      } else if (capabilities && !capabilities[required]) {
+        reason = 'unsupported';
+      } else if (failed.has(protocol)) {
+        reason = 'failed';
+      }
+
+      if (reason) {
+        skipped.push({ protocol, reason });
+      } else {
+        options.push(option);
+      }
+    }
+    return { options, skipped };
+  }
+
+  buildOption(protocol, streamName, { urls, user, token, iceServers, expiresAt }) {
+    const { publish } = urls;
+    switch (protocol) {
+      case 'whip':
+        return publish.whip && { protocol, url: publish.whip, iceServers, iceTransportPolicy: 'all', expiresAt };
+      case 'webrtc-tcp': {
+        if (!publish.whip) {
+          return null;
+        }
+        const tcpTurn = iceServers
+          .map(server => ({ ...server, urls: [].concat(server.urls).filter(isTcpTurn) }))
+          .filter(server => server.urls.length > 0);
+        return {
+          protocol,
+          url: publish.whip,
+          iceServers: tcpTurn.length > 0 ? tcpTurn : iceServers,
+          // Relay-only forces the TCP/TLS TURN path; without TURN the client
+          // has to reach MediaMTX's ICE-TCP port directly
+          iceTransportPolicy: tcpTurn.length > 0 ? 'relay' : 'all',
+          tcpPort: config.mediamtx.webrtc.localTCPPort,
+          expiresAt
+        };
+      }
+      case 'rtmp':
+      case 'rtmps':
+        return publish[protocol] && { protocol, url: publish[protocol], ...splitRtmpUrl(publish[protocol]) };
+      case 'srt':
+        return publish.srt && {
+          protocol,
+          url: publish.srt,
+          streamid: srtStreamId('publish', streamName, user.id, token)
+        };
+      default:
+        return null;
+    }
+  }
+
+  // Called when a path goes live: works out the transport from the path's
+  // source (and, for WebRTC, the selected ICE candidate pair) and stores it
+  async recordTransport(path) {
+    const source = path.source || {};
+    const protocol = SOURCE_TYPE_PROTOCOLS[source.type] || null;
+    const record = {
+      streamName: path.name,
+      protocol,
+      transport: protocol === 'webrtc' ? 'whip' : protocol,
+      sourceType: source.type || null,
+      sessionId: source.id || null,
+      node: path.node || null,
+      relayed: false,
+      publishedAt: new Date()
+    };
+
+    if (protocol === 'webrtc' && source.id) {
+      try {
+        const session = await this.mediamtx.getSession('webrtc', source.id, { node: path.node });
+        const local = parseCandidate(session.localCandidate);
+        const remote = parseCandidate(session.remoteCandidate);
+        if (local && local.network.startsWith('tcp')) {
+          record.transport = 'webrtc-tcp';
+        }
+        // A TURN relay shows up as the remote candidate; whether the client
+        // reached the TURN server over UDP or TCP isn't visible from here
+        record.relayed = Boolean(remote && remote.type === 'relay');
+        record.localCandidate = session.localCandidate || null;
+        record.remoteCandidate = session.remoteCandidate || null;
+      } catch (error) {
+        log.warn('Could not read WebRTC session', { session: source.id, streamName: path.name, error: error.message });
+      }
+    }
+
+    await this.storage.set('publishTransports', path.name, record);
+    // A working publish starts the next negotiation from scratch
+    await this.storage.delete('publishNegotiations', path.name);
+    log.info('Stream publishing', { streamName: path.name, transport: record.transport, relayed: record.relayed, node: record.node });
+    return record;
+  }
+
+  // Latest transport per stream type for a student
+  async transportsFor(studentId) {
+    const records = await Promise.all(STREAM_TYPES.map(streamType => this.storage.get('publishTransports', streamNameFor(studentId, streamType))));
+    return records.filter(Boolean);
+  }
+}
+
+module.exports = PublishNegotiator;
+module.exports.PublishNegotiator = PublishNegotiator;
+module.exports.INGEST_PROTOCOLS = INGEST_PROTOCOLS;
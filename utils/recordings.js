@@ -0,0 +1,244 @@
+// utils/recordings.js
+// Server-side recording of student paths (MediaMTX `record`), segment
+// listing/download through the MediaMTX playback server, and retention.
+const { serviceAuthHeaders } = require('./auth');
+const { config } = require('./config');
+const { createLogger } = require('./logger');
+
+const log = createLogger('recordings');
+
+// The same settings are rendered into pathDefaults (utils/mediamtxConfig.js)
+// so segments stay listable after a path's own config is removed at exam end.
+const RECORDING_SETTINGS = {
+  recordPath: config.recording.path,
+  format: config.recording.format,
+  segmentDuration: config.recording.segmentDuration,
+  partDuration: config.recording.partDuration,
+  retentionHours: config.recording.retentionHours,
+  playbackUrl: config.mediamtx.urls.playback
+};
+
+// Path config fields that switch recording on. Retention is handled by
+// RecordingRetention below, not by MediaMTX's recordDeleteAfter, because
+// MediaMTX stops cleaning a path once its config is deleted.
+const recordingPathConfig = () => ({
+  record: true,
+  recordPath: RECORDING_SETTINGS.recordPath,
+  recordFormat: RECORDING_SETTINGS.format,
+  recordPartDuration: RECORDING_SETTINGS.partDuration,
+  recordSegmentDuration: RECORDING_SETTINGS.segmentDuration,
+  recordDeleteAfter: '0s'
+});
+
+const getOwnPathConfig = async (mediamtx, streamName) => {
+  try {
+    return await mediamtx.getPathConfig(streamName);
+  } catch (error) {
+    if (error.isNotFound) return null;
+    throw error;
+  }
+};
+
+const isLive = async (mediamtx, streamName) => {
+  try {
+    return Boolean((await mediamtx.getPath(streamName)).ready);
+  } catch (error) {
+    if (error.isNotFound) return false;
+    throw error;
+  }
+};
+
+// Turns recording on for a path, creating its config if needed. Resolves
+// false when it was already on. A live path without a config of its own
+// (published under all_others) is restarted by adding one, dropping the
+// publisher, so unless `whileLive` says that's acceptable it is left until
+// it stops (see the 'stream-stopped' handler in server.js).
+const enableRecording = async (mediamtx, streamName, { whileLive = false } = {}) => {
+  const existing = await getOwnPathConfig(mediamtx, streamName);
+
+  if (existing && existing.record) {
+    return false;
+  }
+
+  if (existing) {
+    await mediamtx.patchPathConfig(streamName, recordingPathConfig());
+  } else if (!whileLive && await isLive(mediamtx, streamName)) {
+    log.warn('Recording deferred until the live path stops', { streamName });
+    return false;
+  } else {
+    await mediamtx.addPathConfig(streamName, {
+      source: 'publisher',
+      sourceOnDemand: false,
+      overridePublisher: true,
+      ...recordingPathConfig()
+    });
+  }
+
+  log.info('Recording enabled', { streamName });
+  return true;
+};
+
+const disableRecording = async (mediamtx, streamName) => {
+  const existing = await getOwnPathConfig(mediamtx, streamName);
+  if (!existing || !existing.record) {
+    return false;
+  }
+
+  await mediamtx.patchPathConfig(streamName, { record: false });
+  log.info('Recording disabled', { streamName });
+  return true;
+};
+
+// Brings the given students' required paths in line with the exam's
+// `recording` flag. Failures are logged per path so one bad path doesn't
+// stop the rest.
+const applyExamRecording = async (mediamtx, exam, studentIds = exam.roster) => {
+  for (const studentId of studentIds) {
+    for (const streamType of exam.requiredStreams) {
+      const streamName = `${studentId}_${streamType}`;
+      try {
+        if (exam.recording) {
+          await enableRecording(mediamtx, streamName);
+        } else {
+          await disableRecording(mediamtx, streamName);
+        }
+      } catch (error) {
+        log.error('Could not update recording', { streamName, error: error.message });
+      }
+    }
+  }
+};
+
+// Playback server
+
+class PlaybackError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PlaybackError';
+    this.status = status;
+  }
+}
+
+const playbackFetch = async (endpoint, params, { timeout = 10000, signal, playbackUrl = RECORDING_SETTINGS.playbackUrl } = {}) => {
+  const query = new URLSearchParams(params).toString();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  if (signal) {
+    signal.addEventListener('abort', () => controller.abort());
+  }
+
+  try {
+    const response = await fetch(`${playbackUrl}/${endpoint}?${query}`, {
+      headers: serviceAuthHeaders(),
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const detail = await response.text();
+      throw new PlaybackError(response.status, `Playback server returned ${response.status}: ${detail}`);
+    }
+    return response;
+  } catch (error) {
+    if (error instanceof PlaybackError) throw error;
+    throw new PlaybackError(503, `Playback server unavailable: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// [{ start, duration, url }] - contiguous recorded spans of a path,
+// optionally limited to [start, end]. `playbackUrl` picks the playback
+// server of the node that recorded the path.
+const listSegments = async (streamName, { start, end, playbackUrl } = {}) => {
+  const params = { path: streamName };
+  if (start) params.start = new Date(start).toISOString();
+  if (end) params.end = new Date(end).toISOString();
+
+  try {
+    const response = await playbackFetch('list', params, { playbackUrl });
+    return await response.json();
+  } catch (error) {
+    // Nothing recorded (yet) for this path
+    if (error.status === 404) return [];
+    throw error;
+  }
+};
+
+// listSegments across every node holding segments of the path, each tagged
+// with its `node`, oldest first
+const listRecordedSegments = async (mediamtx, streamName, { start, end } = {}) => {
+  const nodes = await mediamtx.recordingNodes(streamName);
+  const perNode = await Promise.all(nodes.map(async (node) => {
+    const segments = await listSegments(streamName, { start, end, playbackUrl: node.urls.playback });
+    return segments.map(segment => ({ ...segment, node: node.id }));
+  }));
+  return perNode.flat().sort((a, b) => new Date(a.start) - new Date(b.start));
+};
+
+// Streams a time range of a recording. Caller pipes response.body. The 60s
+// timeout only covers waiting for the response headers; the body can take a
+// while, abort it through `signal`.
+const fetchRecording = async (streamName, { start, duration, format = 'mp4', signal, playbackUrl }) => {
+  return playbackFetch('get', {
+    path: streamName,
+    start: new Date(start).toISOString(),
+    duration: String(duration),
+    format
+  }, { timeout: 60000, signal, playbackUrl });
+};
+
+// Retention: deletes segments older than retentionHours, checking hourly.
+class RecordingRetention {
+  constructor({ mediamtx, retentionHours = RECORDING_SETTINGS.retentionHours, interval = 60 * 60 * 1000 }) {
+    this.mediamtx = mediamtx;
+    this.retentionMs = retentionHours * 60 * 60 * 1000;
+    this.interval = interval;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.sweep(), this.interval);
+    this.sweep();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep(now = Date.now()) {
+    let deleted = 0;
+    try {
+      const { items } = await this.mediamtx.listRecordings();
+      for (const recording of items) {
+        for (const segment of recording.segments) {
+          if (now - new Date(segment.start).getTime() > this.retentionMs) {
+            await this.mediamtx.deleteRecordingSegment(recording.name, segment.start, { node: recording.node });
+            deleted++;
+          }
+        }
+      }
+      if (deleted > 0) {
+        log.info('Deleted expired recording segments', { deleted, retentionHours: this.retentionMs / 3600000 });
+      }
+    } catch (error) {
+      log.error('Recording retention sweep failed', { error: error.message });
+    }
+    return deleted;
+  }
+}
+
+module.exports = {
+  RECORDING_SETTINGS,
+  PlaybackError,
+  recordingPathConfig,
+  enableRecording,
+  disableRecording,
+  applyExamRecording,
+  listSegments,
+  listRecordedSegments,
+  fetchRecording,
+  RecordingRetention
+};
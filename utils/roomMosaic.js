@@ -0,0 +1,322 @@
+// utils/roomMosaic.js
+// One low-resolution thumbnail wall per room, so a proctor watches a single
+// stream instead of a player per student.
+//
+// Every `interval` the rooms' tiles are worked out from who is connected
+// (activeStudents) and whose `${studentId}_camera` is live in MediaMTX. A
+// room with at least one tile gets an FFmpeg process that reads those
+// cameras over RTSP, scales each into a labelled tile, stacks them into a
+// grid and publishes the result to `room_${roomId}_mosaic` on the MediaMTX
+// node assigned to that path. When the tiles change the process is replaced
+// with one for the new layout; when it dies it is started again after
+// `restartDelay`.
+//
+// With several replicas each room is composed by one of them: the
+// 'mosaics' record names the owning instance and is renewed every tick, and
+// a replica only takes a room over once that record has gone stale.
+//
+// Events:
+//   'mosaic-updated' ({ roomId, streamName, tiles, layout })  new layout is publishing
+//   'mosaic-stopped' ({ roomId, streamName })                 room has no live cameras left
+const EventEmitter = require('events');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { streamNameFor, internalRtspUrl } = require('./streams');
+const { createLogger } = require('./logger');
+
+const log = createLogger('mosaic');
+
+const mosaicNameFor = roomId => `room_${roomId}_mosaic`;
+
+// Grid for n tiles, as square as possible
+const gridFor = (count) => {
+  const columns = Math.ceil(Math.sqrt(count));
+  return { columns, rows: Math.ceil(count / columns) };
+};
+
+// drawtext takes the label inside '...', where quotes and colons can't be
+// escaped reliably
+const labelFor = tile => String(tile.name || tile.studentId).replace(/[^\w .@-]/g, '').slice(0, 24);
+
+// FFmpeg arguments for a set of tiles: inputs are RTSP URLs in tile order
+const buildMosaicArgs = ({ inputs, output, tiles, settings }) => {
+  const { tileWidth: width, tileHeight: height, fps, bitrate, fontFile } = settings;
+  const { columns } = gridFor(tiles.length);
+  const font = fontFile ? `fontfile='${fontFile}':` : '';
+
+  const filters = tiles.map((tile, index) => [
+    `[${index}:v]fps=${fps}`,
+    `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`,
+    'setsar=1',
+    `drawtext=${font}text='${labelFor(tile)}':x=6:y=h-th-6:fontsize=14:fontcolor=white:box=1:boxcolor=black@0.6:boxborderw=4[tile${index}]`
+  ].join(','));
+
+  if (tiles.length === 1) {
+    filters.push('[tile0]null[mosaic]');
+  } else {
+    const layout = tiles.map((tile, index) => `${(index % columns) * width}_${Math.floor(index / columns) * height}`).join('|');
+    const stacked = tiles.map((tile, index) => `[tile${index}]`).join('');
+    filters.push(`${stacked}xstack=inputs=${tiles.length}:layout=${layout}:fill=black[mosaic]`);
+  }
+
+  return [
+    '-hide_banner', '-loglevel', 'warning', '-nostdin',
+    ...inputs.flatMap(url => ['-rtsp_transport', 'tcp', '-fflags', 'nobuffer', '-flags', 'low_delay', '-i', url]),
+    '-filter_complex', filters.join(';'),
+    '-map', '[mosaic]', '-an',
+    // Baseline without B-frames so WHEP viewers can play it as well
+    '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency', '-profile:v', 'baseline',
+    '-pix_fmt', 'yuv420p', '-r', String(fps), '-g', String(fps * 2),
+    '-b:v', bitrate, '-maxrate', bitrate, '-bufsize', bitrate,
+    '-f', 'rtsp', '-rtsp_transport', 'tcp', output
+  ];
+};
+
+class RoomMosaics extends EventEmitter {
+  constructor({
+    mediamtx,
+    sessionStore,
+    streamMonitor,
+    storage,
+    ffmpegPath = 'ffmpeg',
+    settings,
+    killTimeout = 5000
+  }) {
+    super();
+    this.mediamtx = mediamtx;
+    this.sessionStore = sessionStore;
+    this.streamMonitor = streamMonitor;
+    this.storage = storage;
+    this.ffmpegPath = ffmpegPath;
+    this.settings = settings;
+    this.killTimeout = killTimeout;
+    // A record not renewed for this long may be taken over by another replica
+    this.leaseTimeout = settings.interval * 3;
+    // roomId -> { roomId, streamName, nodeId, tiles, signature, child, startedAt, restartAt, lastError }
+    this.rooms = new Map();
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  get instanceId() {
+    return this.sessionStore.instanceId;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.refresh(), this.settings.interval);
+    this.refresh();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    // Released so another replica picks the rooms up without waiting
+    await Promise.all(Array.from(this.rooms.keys()).map(async (roomId) => {
+      await this.stopRoom(roomId);
+      await this.releaseRoom(roomId);
+    }));
+  }
+
+  // Recomputes the layouts right away (e.g. after a camera went live).
+  // Concurrent callers share the in-flight run.
+  refresh() {
+    if (!this.ticking) {
+      this.ticking = this.tick()
+        .catch(error => log.error('Mosaic update failed', { error: error.message }))
+        .finally(() => { this.ticking = null; });
+    }
+    return this.ticking;
+  }
+
+  // roomId -> tiles for every room with a live camera
+  async desiredTiles() {
+    const live = new Set(this.streamMonitor.listReadyPaths().map(path => path.name));
+    const rooms = new Map();
+    const students = (await this.sessionStore.listStudents())
+      .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+    for (const student of students) {
+      const streamName = streamNameFor(student.id, 'camera');
+      if (!student.roomId || !live.has(streamName)) {
+        continue;
+      }
+      const tiles = rooms.get(student.roomId) || [];
+      if (tiles.length < this.settings.maxTiles) {
+        tiles.push({ studentId: student.id, name: student.name || null, streamName });
+      }
+      rooms.set(student.roomId, tiles);
+    }
+    return rooms;
+  }
+
+  async tick(now = Date.now()) {
+    const desired = await this.desiredTiles();
+
+    for (const roomId of this.rooms.keys()) {
+      if (!desired.has(roomId)) {
+        await this.stopRoom(roomId);
+        await this.releaseRoom(roomId);
+        this.emit('mosaic-stopped', { roomId, streamName: mosaicNameFor(roomId) });
+      }
+    }
+
+    for (const [roomId, tiles] of desired) {
+      const record = await this.storage.get('mosaics', roomId);
+      const ownedElsewhere = record && record.instanceId !== this.instanceId
+        && now - new Date(record.renewedAt).getTime() < this.leaseTimeout;
+      if (ownedElsewhere) {
+        // Lost a race for the room, or never had it
+        if (this.rooms.has(roomId)) {
+          await this.stopRoom(roomId);
+        }
+        continue;
+      }
+      await this.updateRoom(roomId, tiles, now);
+    }
+  }
+
+  async updateRoom(roomId, tiles, now) {
+    const streamName = mosaicNameFor(roomId);
+    const node = await this.mediamtx.assign(streamName);
+    const inputs = tiles.map(tile => ({ ...tile, nodeId: this.mediamtx.nodeFor(tile.streamName).id }));
+    const signature = JSON.stringify([node.id, ...inputs.map(tile => [tile.streamName, tile.nodeId, tile.name])]);
+
+    let room = this.rooms.get(roomId);
+    if (room && room.signature !== signature) {
+      await this.stopRoom(roomId);
+      room = null;
+    }
+    if (!room) {
+      room = { roomId, streamName, signature, tiles: inputs, nodeId: node.id, child: null, startedAt: null, restartAt: 0, lastError: null };
+      this.rooms.set(roomId, room);
+    }
+    if (!room.child && now >= room.restartAt) {
+      this.spawnRoom(room);
+    }
+
+    const { columns, rows } = gridFor(inputs.length);
+    await this.storage.set('mosaics', roomId, {
+      roomId,
+      streamName,
+      nodeId: node.id,
+      instanceId: this.instanceId,
+      tiles: inputs.map((tile, index) => ({
+        studentId: tile.studentId,
+        name: tile.name,
+        x: (index % columns) * this.settings.tileWidth,
+        y: Math.floor(index / columns) * this.settings.tileHeight
+      })),
+      layout: { columns, rows, tileWidth: this.settings.tileWidth, tileHeight: this.settings.tileHeight },
+      running: Boolean(room.child),
+      lastError: room.lastError,
+      renewedAt: new Date(now)
+    });
+  }
+
+  rtspUrl(nodeId, path) {
+    return internalRtspUrl(this.mediamtx.getNode(nodeId) || this.mediamtx.nodeFor(path), path);
+  }
+
+  spawnRoom(room) {
+    const args = buildMosaicArgs({
+      inputs: room.tiles.map(tile => this.rtspUrl(tile.nodeId, tile.streamName)),
+      output: this.rtspUrl(room.nodeId, room.streamName),
+      tiles: room.tiles,
+      settings: this.settings
+    });
+    const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    room.child = child;
+    room.startedAt = new Date();
+
+    readline.createInterface({ input: child.stderr }).on('line', (line) => {
+      if (line.trim()) {
+        room.lastError = line.trim();
+        log.warn(line.trim(), { streamName: room.streamName, pid: child.pid, source: 'ffmpeg' });
+      }
+    });
+
+    child.on('spawn', () => {
+      log.info('Mosaic started', { streamName: room.streamName, tiles: room.tiles.length, pid: child.pid });
+      const { columns, rows } = gridFor(room.tiles.length);
+      this.emit('mosaic-updated', {
+        roomId: room.roomId,
+        streamName: room.streamName,
+        tiles: room.tiles.map(tile => ({ studentId: tile.studentId, name: tile.name })),
+        layout: { columns, rows, tileWidth: this.settings.tileWidth, tileHeight: this.settings.tileHeight }
+      });
+    });
+
+    child.on('error', (error) => {
+      room.lastError = error.message;
+      log.error('Could not start FFmpeg', { streamName: room.streamName, error: error.message });
+    });
+
+    child.on('close', (code, signal) => {
+      if (room.child !== child) {
+        return;
+      }
+      room.child = null;
+      if (room.stopping) {
+        return;
+      }
+      room.restartAt = Date.now() + this.settings.restartDelay;
+      log.error('Mosaic exited - restarting', { streamName: room.streamName, code, signal, restartDelayMs: this.settings.restartDelay });
+    });
+  }
+
+  async stopRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    this.rooms.delete(roomId);
+    if (!room || !room.child) {
+      return;
+    }
+    room.stopping = true;
+    const { child } = room;
+    await new Promise((resolve) => {
+      const forceKill = setTimeout(() => child.kill('SIGKILL'), this.killTimeout);
+      child.once('close', () => {
+        clearTimeout(forceKill);
+        resolve();
+      });
+      child.kill('SIGTERM');
+    });
+    log.info('Mosaic stopped', { streamName: room.streamName });
+  }
+
+  async releaseRoom(roomId) {
+    const record = await this.storage.get('mosaics', roomId);
+    if (record && record.instanceId === this.instanceId) {
+      await this.storage.delete('mosaics', roomId);
+    }
+  }
+
+  // Shared record, whichever replica composes the room
+  async getRoom(roomId) {
+    const record = await this.storage.get('mosaics', roomId);
+    if (!record || Date.now() - new Date(record.renewedAt).getTime() >= this.leaseTimeout) {
+      return null;
+    }
+    return record;
+  }
+
+  getStatus() {
+    return Array.from(this.rooms.values()).map(room => ({
+      roomId: room.roomId,
+      streamName: room.streamName,
+      tiles: room.tiles.length,
+      running: Boolean(room.child),
+      pid: room.child ? room.child.pid : null,
+      startedAt: room.startedAt,
+      lastError: room.lastError
+    }));
+  }
+}
+
+module.exports = RoomMosaics;
+module.exports.RoomMosaics = RoomMosaics;
+module.exports.mosaicNameFor = mosaicNameFor;
+module.exports.buildMosaicArgs = buildMosaicArgs;
@@ -0,0 +1,328 @@
+// utils/sessionStore.js
+// Single source of truth for room/student/proctor state. The Socket.IO
+// handlers in server.js and the REST routers both read and write through one
+// instance (exposed to routers as req.app.locals.sessionStore).
+//
+// All state lives in a storage driver (see utils/storage). Registrations,
+// room membership and session history are durable; presence (who is online
+// on which socket) is cleared on startup because sockets never survive a
+// restart.
+//
+// With a shared driver several replicas use the same presence, so only the
+// sockets of replicas that are gone may be dropped. Each replica heartbeats
+// into 'instances' and tags its sockets with its instanceId; presence of an
+// instance that stopped heartbeating is removed and reported.
+//
+// Events: 'presence-expired' ({ roomId, role, userId, socketId, instanceId })
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cluster');
+
+const PRESENCE_COLLECTIONS = ['activeStudents', 'activeProctors', 'sockets'];
+
+class SessionStore extends EventEmitter {
+  constructor(storage, { instanceId = crypto.randomUUID(), heartbeatInterval = 10000, instanceTimeout = 30000 } = {}) {
+    super();
+    this.storage = storage;
+    this.instanceId = instanceId;
+    this.heartbeatInterval = heartbeatInterval;
+    this.instanceTimeout = instanceTimeout;
+    this.heartbeatTimer = null;
+  }
+
+  async init() {
+    await this.storage.init();
+    if (!this.storage.shared) {
+      await this.resetPresence();
+      return;
+    }
+
+    // Left over from a previous run under the same instanceId
+    await this.removePresence(info => info.instanceId === this.instanceId);
+    await this.heartbeat();
+    await this.expireStaleInstances();
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat()
+        .then(() => this.expireStaleInstances())
+        .catch(error => log.error('Presence heartbeat failed', { error: error.message }));
+    }, this.heartbeatInterval);
+  }
+
+  async resetPresence() {
+    // Close any session history entries that were still open when the
+    // previous process died.
+    const sockets = await this.storage.list('sockets');
+    for (const socketInfo of sockets) {
+      await this.closeSessionRecord(socketInfo.sessionId);
+    }
+
+    for (const collection of PRESENCE_COLLECTIONS) {
+      await this.storage.clear(collection);
+    }
+  }
+
+  async heartbeat() {
+    await this.storage.set('instances', this.instanceId, { id: this.instanceId, lastSeenAt: new Date() });
+  }
+
+  async expireStaleInstances(now = Date.now()) {
+    const live = new Set();
+    for (const instance of await this.storage.list('instances')) {
+      if (now - new Date(instance.lastSeenAt).getTime() < this.instanceTimeout) {
+        live.add(instance.id);
+      } else {
+        await this.storage.delete('instances', instance.id);
+        log.warn('Replica stopped heartbeating - dropping its presence', { instanceId: instance.id });
+      }
+    }
+
+    const expired = await this.removePresence(info => !live.has(info.instanceId));
+    expired.forEach(info => this.emit('presence-expired', info));
+    return expired;
+  }
+
+  // Removes the sockets matching predicate; returns what removeSocket did
+  async removePresence(predicate) {
+    const removed = [];
+    for (const info of await this.storage.list('sockets')) {
+      if (predicate(info)) {
+        const userInfo = await this.removeSocket(info.socketId);
+        if (userInfo) {
+          removed.push(userInfo);
+        }
+      }
+    }
+    return removed;
+  }
+
+  async ensureRoom(roomId) {
+    let room = await this.storage.get('rooms', roomId);
+    if (!room) {
+      room = { id: roomId, members: { students: [], proctors: [] }, createdAt: new Date() };
+      await this.storage.set('rooms', roomId, room);
+    }
+    return room;
+  }
+
+  async addRoomMember(roomId, role, userId) {
+    const room = await this.ensureRoom(roomId);
+    const key = role === 'student' ? 'students' : 'proctors';
+    if (!room.members[key].includes(userId)) {
+      room.members[key].push(userId);
+      await this.storage.set('rooms', roomId, room);
+    }
+  }
+
+  // Registrations
+
+  async registerStudent(student) {
+    return this.storage.set('students', student.id, student);
+  }
+
+  async getRegisteredStudent(studentId) {
+    return this.storage.get('students', studentId);
+  }
+
+  async registerProctor(proctor) {
+    return this.storage.set('proctors', proctor.id, proctor);
+  }
+
+  async getRegisteredProctor(proctorId) {
+    return this.storage.get('proctors', proctorId);
+  }
+
+  // Holds: a proctor paused or terminated the student's exam. Kept apart
+  // from presence so a reconnect does not lift them.
+
+  async setHold(studentId, hold) {
+    return this.storage.set('holds', studentId, { studentId, ...hold, since: new Date() });
+  }
+
+  async getHold(studentId) {
+    return this.storage.get('holds', studentId);
+  }
+
+  async clearHold(studentId) {
+    return this.storage.delete('holds', studentId);
+  }
+
+  // Presence
+
+  async addStudent(socketId, { studentId, roomId, name }) {
+    const hold = await this.getHold(studentId);
+    const student = {
+      id: studentId,
+      name: name,
+      socketId: socketId,
+      roomId: roomId,
+      status: hold ? hold.status : 'online',
+      joinedAt: new Date()
+    };
+
+    await this.storage.set('activeStudents', studentId, student);
+    await this.addRoomMember(roomId, 'student', studentId);
+    await this.trackSocket(socketId, { roomId, role: 'student', userId: studentId });
+
+    return student;
+  }
+
+  async addProctor(socketId, { proctorId, roomId, name }) {
+    const proctor = {
+      id: proctorId,
+      name: name,
+      socketId: socketId,
+      roomId: roomId,
+      status: 'monitoring',
+      joinedAt: new Date()
+    };
+
+    await this.storage.set('activeProctors', proctorId, proctor);
+    await this.addRoomMember(roomId, 'proctor', proctorId);
+    await this.trackSocket(socketId, { roomId, role: 'proctor', userId: proctorId });
+
+    return proctor;
+  }
+
+  async trackSocket(socketId, { roomId, role, userId }) {
+    const sessionId = crypto.randomUUID();
+    await this.storage.set('sessions', sessionId, {
+      id: sessionId,
+      roomId,
+      role,
+      userId,
+      socketId,
+      joinedAt: new Date(),
+      leftAt: null
+    });
+    await this.storage.set('sockets', socketId, {
+      socketId,
+      instanceId: this.instanceId,
+      roomId,
+      role,
+      userId,
+      sessionId
+    });
+  }
+
+  async closeSessionRecord(sessionId) {
+    const record = sessionId && await this.storage.get('sessions', sessionId);
+    if (record && !record.leftAt) {
+      record.leftAt = new Date();
+      await this.storage.set('sessions', sessionId, record);
+    }
+  }
+
+  async getStudent(studentId) {
+    return this.storage.get('activeStudents', studentId);
+  }
+
+  async getProctor(proctorId) {
+    return this.storage.get('activeProctors', proctorId);
+  }
+
+  async updateStudent(studentId, changes) {
+    const student = await this.storage.get('activeStudents', studentId);
+    if (!student) {
+      return null;
+    }
+
+    Object.assign(student, changes);
+    await this.storage.set('activeStudents', studentId, student);
+    return student;
+  }
+
+  async getSocketInfo(socketId) {
+    return this.storage.get('sockets', socketId);
+  }
+
+  // Sockets that joined a room, on every instance
+  async listSockets() {
+    return this.storage.list('sockets');
+  }
+
+  // Removes whatever user the socket belonged to and returns its
+  // { roomId, role, userId } so the caller can notify the room.
+  async removeSocket(socketId) {
+    const userInfo = await this.storage.get('sockets', socketId);
+    if (!userInfo) {
+      return null;
+    }
+
+    const { role, userId, sessionId } = userInfo;
+    const collection = role === 'student' ? 'activeStudents' : 'activeProctors';
+    const user = await this.storage.get(collection, userId);
+
+    // Only drop presence if this socket is still the user's current one -
+    // a reconnect may already have replaced it.
+    if (user && user.socketId === socketId) {
+      await this.storage.delete(collection, userId);
+    }
+
+    await this.closeSessionRecord(sessionId);
+    await this.storage.delete('sockets', socketId);
+    return userInfo;
+  }
+
+  async getRoomStudents(roomId) {
+    const students = await this.storage.list('activeStudents');
+    return students.filter(s => s.roomId === roomId);
+  }
+
+  async getRoomProctors(roomId) {
+    const proctors = await this.storage.list('activeProctors');
+    return proctors.filter(p => p.roomId === roomId);
+  }
+
+  // Live view of a room: who is connected right now plus everyone who has
+  // ever joined it.
+  async getRoom(roomId) {
+    const room = await this.storage.get('rooms', roomId);
+    if (!room) {
+      return null;
+    }
+    return {
+      roomId,
+      students: await this.getRoomStudents(roomId),
+      proctors: await this.getRoomProctors(roomId),
+      members: room.members,
+      createdAt: room.createdAt
+    };
+  }
+
+  async listStudents() {
+    return this.storage.list('activeStudents');
+  }
+
+  async listProctors() {
+    return this.storage.list('activeProctors');
+  }
+
+  async getSessionHistory({ userId, roomId } = {}) {
+    const sessions = await this.storage.list('sessions');
+    return sessions
+      .filter(s => (!userId || s.userId === userId) && (!roomId || s.roomId === roomId))
+      .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+  }
+
+  async counts() {
+    return {
+      activeStudents: (await this.storage.list('activeStudents')).length,
+      activeProctors: (await this.storage.list('activeProctors')).length
+    };
+  }
+
+  async close() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+      // Our sockets are gone with us; the other replicas keep theirs
+      await this.removePresence(info => info.instanceId === this.instanceId);
+      await this.storage.delete('instances', this.instanceId);
+    }
+    await this.storage.close();
+  }
+}
+
+module.exports = SessionStore;
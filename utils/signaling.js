@@ -0,0 +1,306 @@
+// utils/signaling.js
+// Signaling relay behind POST /api/v1/webrtc/signal and /proctor-signal and
+// the matching Socket.IO events. A student's offer becomes a WHIP session
+// (publishing its own stream), a proctor's offer a WHEP session (watching a
+// student's stream), on the MediaMTX node that owns the path. Candidates are
+// trickled to the session with PATCH and 'hangup' DELETEs it. MediaMTX
+// gathers its own candidates before answering, so the answer SDP is all the
+// client gets back.
+//
+// Sessions live in the 'webrtcSessions' collection so any replica can relay
+// candidates for them; they are dropped on hangup, when the socket that
+// opened them disconnects, and when their path stops publishing. Sessions
+// opened over HTTP have no socket, so start() also sweeps their records once
+// they are older than sessionTtl (MediaMTX ends the peer connection itself
+// when the client goes away).
+const crypto = require('crypto');
+const {
+  AuthError,
+  STREAM_TYPES,
+  canPublish,
+  canRead,
+  serviceAuthHeaders
+} = require('./auth');
+const { streamNameFor } = require('./streams');
+const { iceServersFor } = require('./turn');
+const { createLogger } = require('./logger');
+
+const log = createLogger('whip');
+
+class SignalingError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'SignalingError';
+    this.status = status;
+  }
+}
+
+const sdpAttribute = (sdp, name) => {
+  const match = new RegExp(`^a=${name}:(.+)$`, 'm').exec(sdp || '');
+  return match ? match[1].trim() : null;
+};
+
+// RTCIceCandidate JSON (or its candidate string) -> { mid, line }
+const toCandidateLine = (candidate) => {
+  const value = typeof candidate === 'string' ? candidate : candidate && candidate.candidate;
+  if (!value) {
+    return null;
+  }
+  const mid = typeof candidate === 'object' && candidate.sdpMid !== undefined && candidate.sdpMid !== null
+    ? String(candidate.sdpMid)
+    : String((candidate && candidate.sdpMLineIndex) || 0);
+  return { mid, line: `a=${value.replace(/^a=/, '')}` };
+};
+
+// application/trickle-ice-sdpfrag body (RFC 8840) for the session
+const buildSdpFragment = (session, candidates) => {
+  const lines = [];
+  if (session.ufrag) lines.push(`a=ice-ufrag:${session.ufrag}`);
+  if (session.pwd) lines.push(`a=ice-pwd:${session.pwd}`);
+
+  const byMid = new Map();
+  for (const { mid, line } of candidates) {
+    byMid.set(mid, [...(byMid.get(mid) || []), line]);
+  }
+  for (const [mid, midLines] of byMid) {
+    lines.push('m=audio 9 UDP/TLS/RTP/SAVPF 0', `a=mid:${mid}`, ...midLines);
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+class SignalingRelay {
+  constructor({ mediamtx, sessionStore, storage, metrics = null, preparePath, timeout = 10000, sessionTtl, sweepInterval = 60000 }) {
+    this.mediamtx = mediamtx;
+    this.sessionStore = sessionStore;
+    this.storage = storage;
+    this.metrics = metrics;
+    // (streamName) -> whether the path is ready for a publisher; creates
+    // its config (assigning a node) before the offer is forwarded
+    this.preparePath = preparePath;
+    this.timeout = timeout;
+    this.sessionTtl = sessionTtl;
+    this.sweepInterval = sweepInterval;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => log.error('Signaling session sweep failed', { error: error.message }));
+    }, this.sweepInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Student side: { type: 'offer'|'candidate'|'hangup', offer, candidate,
+  // sessionId, studentId, streamType }. Admins may publish for any student.
+  async signal(user, data = {}, { socketId = null } = {}) {
+    if (data.type !== 'offer') {
+      return this.relay(user, data);
+    }
+    const studentId = user.role === 'admin' && data.studentId ? data.studentId : user.id;
+    const streamName = this.streamName(studentId, data.streamType);
+    if (!(await canPublish(this.sessionStore, user, streamName))) {
+      throw new AuthError(403, `Not allowed to publish stream ${streamName}`);
+    }
+    return this.open('whip', streamName, data.offer, { user, socketId });
+  }
+
+  // Proctor side: same messages, the offer names { targetStudent, streamType }
+  async proctorSignal(user, data = {}, { socketId = null } = {}) {
+    if (data.type !== 'offer') {
+      return this.relay(user, data);
+    }
+    if (!data.targetStudent) {
+      throw new SignalingError(400, 'targetStudent is required');
+    }
+    const streamName = this.streamName(data.targetStudent, data.streamType);
+    if (!(await canRead(this.sessionStore, user, streamName))) {
+      throw new AuthError(403, `Not allowed to read stream ${streamName}`);
+    }
+    return this.open('whep', streamName, data.offer, { user, socketId });
+  }
+
+  async relay(user, { type, sessionId, candidate, candidates }) {
+    switch (type) {
+      case 'candidate':
+        return this.candidate(user, sessionId, candidates || [candidate]);
+      case 'hangup':
+        return this.hangup(user, sessionId);
+      default:
+        throw new SignalingError(400, `type must be one of: offer, candidate, hangup`);
+    }
+  }
+
+  streamName(studentId, streamType = 'camera') {
+    if (!STREAM_TYPES.includes(streamType)) {
+      throw new SignalingError(400, `streamType must be one of: ${STREAM_TYPES.join(', ')}`);
+    }
+    return streamNameFor(studentId, streamType);
+  }
+
+  async open(kind, streamName, offer, { user, socketId }) {
+    const sdp = typeof offer === 'string' ? offer : offer && offer.sdp;
+    if (!sdp || sdp.trim().length === 0) {
+      throw new SignalingError(400, 'offer must be an SDP string or { type, sdp }');
+    }
+
+    const startTime = Date.now();
+    const observe = outcome => this.metrics && this.metrics.observeWebRTC({ kind, via: 'signaling', outcome, seconds: (Date.now() - startTime) / 1000 });
+
+    if (kind === 'whip' && !(await this.preparePath(streamName))) {
+      throw new SignalingError(503, `Failed to create stream path ${streamName}`);
+    }
+    const node = this.mediamtx.nodeFor(streamName);
+    let response;
+    let answer;
+    try {
+      response = await fetch(`${node.urls.webrtc}/${streamName}/${kind}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/sdp',
+          'Accept': 'application/sdp',
+          'User-Agent': 'Railway-MediaMTX-Proxy',
+          ...serviceAuthHeaders()
+        },
+        body: sdp,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      answer = await response.text();
+    } catch (error) {
+      observe(error.name === 'TimeoutError' ? 'timeout' : 'error');
+      throw error;
+    }
+    if (!response.ok || !response.headers.get('Location')) {
+      observe('rejected');
+      const status = [400, 404].includes(response.status) ? response.status : 502;
+      throw new SignalingError(status, `MediaMTX rejected the ${kind.toUpperCase()} offer for ${streamName}: ${response.status} ${answer}`);
+    }
+    observe('success');
+
+    const session = {
+      id: crypto.randomUUID(),
+      kind,
+      streamName,
+      nodeId: node.id,
+      // MediaMTX session resource, target of PATCH/DELETE
+      url: new URL(response.headers.get('Location'), `${node.urls.webrtc}/`).href,
+      etag: response.headers.get('ETag'),
+      ufrag: sdpAttribute(sdp, 'ice-ufrag'),
+      pwd: sdpAttribute(sdp, 'ice-pwd'),
+      userId: user.id,
+      socketId,
+      createdAt: new Date()
+    };
+    await this.storage.set('webrtcSessions', session.id, session);
+    log.info(`${kind.toUpperCase()} session opened`, { kind, sessionId: session.id, streamName, node: node.id, userId: user.id });
+
+    return {
+      type: 'answer',
+      sessionId: session.id,
+      streamName,
+      answer: { type: 'answer', sdp: answer },
+      // Same servers as the WHIP/WHEP Link headers, with this user's TURN
+      // credentials
+      iceServers: iceServersFor(user).iceServers
+    };
+  }
+
+  async getSession(user, sessionId) {
+    const session = sessionId && await this.storage.get('webrtcSessions', sessionId);
+    if (!session) {
+      throw new SignalingError(404, 'Signaling session not found');
+    }
+    if (user.role !== 'admin' && session.userId !== user.id) {
+      throw new AuthError(403, 'Signaling session belongs to another user');
+    }
+    return session;
+  }
+
+  async candidate(user, sessionId, candidates) {
+    const session = await this.getSession(user, sessionId);
+    const lines = candidates.map(toCandidateLine).filter(Boolean);
+    // End-of-candidates needs nothing from MediaMTX
+    if (lines.length === 0) {
+      return { type: 'candidate', sessionId, candidates: 0 };
+    }
+
+    const response = await fetch(session.url, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/trickle-ice-sdpfrag',
+        'User-Agent': 'Railway-MediaMTX-Proxy',
+        ...(session.etag ? { 'If-Match': session.etag } : {}),
+        ...serviceAuthHeaders()
+      },
+      body: buildSdpFragment(session, lines),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      const status = response.status === 404 ? 404 : response.status === 412 ? 409 : 502;
+      throw new SignalingError(status, `MediaMTX rejected the candidates: ${response.status} ${await response.text()}`);
+    }
+    return { type: 'candidate', sessionId, candidates: lines.length };
+  }
+
+  async hangup(user, sessionId) {
+    await this.close(await this.getSession(user, sessionId));
+    return { type: 'hangup', sessionId };
+  }
+
+  // Ends the MediaMTX session; the record goes even if MediaMTX already
+  // forgot it
+  async close(session) {
+    try {
+      await fetch(session.url, {
+        method: 'DELETE',
+        headers: {
+          'User-Agent': 'Railway-MediaMTX-Proxy',
+          ...serviceAuthHeaders()
+        },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      log.warn(`Could not delete ${session.kind.toUpperCase()} session`, { sessionId: session.id, error: error.message });
+    }
+    await this.storage.delete('webrtcSessions', session.id);
+    log.info(`${session.kind.toUpperCase()} session closed`, { kind: session.kind, sessionId: session.id, streamName: session.streamName });
+  }
+
+  async closeSocket(socketId) {
+    const sessions = (await this.storage.list('webrtcSessions')).filter(s => s.socketId === socketId);
+    for (const session of sessions) {
+      await this.close(session);
+    }
+  }
+
+  // Drops records of HTTP-opened sessions past sessionTtl. Only the record
+  // goes: a client still connected keeps its media, it just can no longer
+  // trickle candidates or hang up through the relay.
+  async sweep(now = Date.now()) {
+    const expired = (await this.storage.list('webrtcSessions'))
+      .filter(s => !s.socketId && now - new Date(s.createdAt).getTime() >= this.sessionTtl);
+    for (const session of expired) {
+      await this.storage.delete('webrtcSessions', session.id);
+      log.info(`${session.kind.toUpperCase()} session expired`, { kind: session.kind, sessionId: session.id, streamName: session.streamName });
+    }
+    return expired.length;
+  }
+
+  // The path stopped publishing, so every session on it is gone in MediaMTX
+  async forgetPath(streamName) {
+    const sessions = (await this.storage.list('webrtcSessions')).filter(s => s.streamName === streamName);
+    for (const session of sessions) {
+      await this.storage.delete('webrtcSessions', session.id);
+    }
+  }
+}
+
+module.exports = SignalingRelay;
+module.exports.SignalingRelay = SignalingRelay;
+module.exports.SignalingError = SignalingError;
@@ -0,0 +1,166 @@
+// utils/snapshots.js
+// JPEG thumbnails of every live student stream, so dashboards can show a
+// preview grid without opening a WHEP/HLS session per student.
+//
+// Every `interval` FFmpeg grabs one frame from each ready camera and screen
+// path over RTSP, at most `concurrency` at a time, and the newest `ringSize`
+// frames of each path are kept in memory. Frames of a path that stopped age out once
+// the whole ring would have been replaced. Each replica grabs and keeps its
+// own frames, the same way each one polls MediaMTX.
+//
+// Events: 'snapshot' ({ streamName, studentId, streamType, id, takenAt, size })
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const { parseStreamName } = require('./auth');
+const { internalRtspUrl } = require('./streams');
+const { createLogger } = require('./logger');
+
+const log = createLogger('snapshots');
+
+// Streams with video to grab a frame from
+const VIDEO_STREAM_TYPES = ['camera', 'screen'];
+
+class SnapshotGrabber extends EventEmitter {
+  constructor({ mediamtx, streamMonitor, ffmpegPath = 'ffmpeg', settings }) {
+    super();
+    this.mediamtx = mediamtx;
+    this.streamMonitor = streamMonitor;
+    this.ffmpegPath = ffmpegPath;
+    this.settings = settings;
+    // streamName -> [{ id, takenAt, jpeg }], oldest first
+    this.frames = new Map();
+    this.children = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        log.error('Snapshot run failed', { error: error.message });
+      });
+    }, this.settings.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.children.forEach(child => child.kill('SIGKILL'));
+  }
+
+  async tick(now = Date.now()) {
+    // A slow run (many paths, slow MediaMTX) is not stacked on
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    try {
+      const maxAge = this.settings.ringSize * this.settings.interval;
+      for (const [streamName, ring] of this.frames) {
+        if (now - ring[ring.length - 1].takenAt.getTime() > maxAge) {
+          this.frames.delete(streamName);
+        }
+      }
+
+      const queue = this.streamMonitor.listReadyPaths().filter((path) => {
+        const parsed = parseStreamName(path.name);
+        return parsed && VIDEO_STREAM_TYPES.includes(parsed.streamType);
+      });
+      const worker = async () => {
+        while (queue.length > 0) {
+          await this.capture(queue.shift());
+        }
+      };
+      await Promise.all(Array.from({ length: this.settings.concurrency }, worker));
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async capture(path) {
+    try {
+      const jpeg = await this.grab(internalRtspUrl(this.mediamtx.getNode(path.node) || this.mediamtx.nodeFor(path.name), path.name));
+      const takenAt = new Date();
+      const frame = { id: String(takenAt.getTime()), takenAt, jpeg };
+      const ring = [...(this.frames.get(path.name) || []), frame].slice(-this.settings.ringSize);
+      this.frames.set(path.name, ring);
+      this.emit('snapshot', { streamName: path.name, ...parseStreamName(path.name), ...this.describe(frame) });
+    } catch (error) {
+      log.warn('No snapshot', { streamName: path.name, error: error.message });
+    }
+  }
+
+  // One JPEG frame from the stream, scaled to `width`
+  grab(url) {
+    const args = [
+      '-hide_banner', '-loglevel', 'error', '-nostdin',
+      '-rtsp_transport', 'tcp', '-i', url,
+      '-an', '-frames:v', '1', '-vf', `scale=${this.settings.width}:-2`,
+      '-c:v', 'mjpeg', '-q:v', '5', '-f', 'image2pipe', 'pipe:1'
+    ];
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      this.children.add(child);
+      const chunks = [];
+      let stderr = '';
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, this.settings.timeout);
+
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-500);
+      });
+      child.on('error', error => reject(error));
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        this.children.delete(child);
+        const jpeg = Buffer.concat(chunks);
+        if (timedOut) {
+          return reject(new Error(`timed out after ${this.settings.timeout}ms`));
+        }
+        if (code !== 0 || jpeg.length === 0) {
+          return reject(new Error(stderr.trim().split('\n').pop() || `FFmpeg exited with code ${code}`));
+        }
+        resolve(jpeg);
+      });
+    });
+  }
+
+  describe(frame) {
+    return { id: frame.id, takenAt: frame.takenAt, size: frame.jpeg.length };
+  }
+
+  // Latest frame, or the one with that id while it is still in the ring
+  getFrame(streamName, id = null) {
+    const ring = this.frames.get(streamName) || [];
+    return id ? ring.find(frame => frame.id === id) || null : ring[ring.length - 1] || null;
+  }
+
+  // Frame metadata, newest first
+  listFrames(streamName) {
+    return (this.frames.get(streamName) || []).map(frame => this.describe(frame)).reverse();
+  }
+
+  lastFrameAt(streamName) {
+    const frame = this.getFrame(streamName);
+    return frame ? frame.takenAt : null;
+  }
+
+  getStatus() {
+    return {
+      streams: this.frames.size,
+      frames: Array.from(this.frames.values()).reduce((sum, ring) => sum + ring.length, 0),
+      grabbing: this.children.size
+    };
+  }
+}
+
+module.exports = SnapshotGrabber;
+module.exports.SnapshotGrabber = SnapshotGrabber;
@@ -0,0 +1,81 @@
+// utils/socketAdapter.js
+// Socket.IO adapter selection for running several backend replicas. With a
+// shared adapter io.to(room).emit(), disconnectSockets() and fetchSockets()
+// reach the sockets connected to every replica, not just this one.
+//
+//   local  - Socket.IO's default in-memory adapter (single process)
+//   redis  - @socket.io/redis-adapter over Redis pub/sub
+//   memory - in-process bus; Socket.IO servers created in the same process
+//            behave like replicas of each other (tests)
+const EventEmitter = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createClient } = require('redis');
+const { createLogger } = require('./logger');
+
+const log = createLogger('cluster');
+
+// Shared by every 'memory' adapter in the process
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+class InProcessAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, opts) {
+    super(nsp, opts);
+    this.onBusMessage = (message) => this.onMessage(message);
+    this.onBusResponse = ({ requesterUid, response }) => {
+      if (requesterUid === this.uid) {
+        this.onResponse(response);
+      }
+    };
+    bus.on(`message:${nsp.name}`, this.onBusMessage);
+    bus.on(`response:${nsp.name}`, this.onBusResponse);
+  }
+
+  // Delivered on a later tick, like a message that went through Redis
+  doPublish(message) {
+    setImmediate(() => bus.emit(`message:${this.nsp.name}`, message));
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    setImmediate(() => bus.emit(`response:${this.nsp.name}`, { requesterUid, response }));
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    bus.off(`message:${this.nsp.name}`, this.onBusMessage);
+    bus.off(`response:${this.nsp.name}`, this.onBusResponse);
+  }
+}
+
+// Installs the configured adapter on io. Resolves to a function that
+// releases its connections on shutdown.
+const useSocketAdapter = async (io, { adapter = 'local', redisUrl, keyPrefix = 'proctoring:' } = {}) => {
+  switch (adapter) {
+    case 'local':
+      return async () => {};
+    case 'memory':
+      io.adapter(InProcessAdapter);
+      log.info('Socket.IO using the in-process adapter');
+      return async () => {};
+    case 'redis': {
+      const pubClient = createClient({ url: redisUrl });
+      const subClient = pubClient.duplicate();
+      [pubClient, subClient].forEach(client => client.on('error', (error) => {
+        log.error('Socket.IO Redis adapter error', { error: error.message });
+      }));
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      io.adapter(createAdapter(pubClient, subClient, { key: `${keyPrefix}socket.io` }));
+      log.info('Socket.IO using the Redis adapter', { redisUrl });
+      return async () => {
+        await Promise.all([pubClient.quit(), subClient.quit()]);
+      };
+    }
+    default:
+      throw new Error(`Unknown Socket.IO adapter: ${adapter}`);
+  }
+};
+
+module.exports = { useSocketAdapter, InProcessAdapter };
@@ -0,0 +1,31 @@
+// utils/storage/index.js
+// Storage drivers share one async interface:
+//   init(), get(collection, id), set(collection, id, value),
+//   delete(collection, id), list(collection), clear(collection), close()
+// Pick one with storage.driver in utils/config.js (STORAGE_DRIVER=memory|
+// file|redis, file path from STORAGE_FILE). Only redis can be shared by
+// several backend replicas, which its `shared` flag tells the session store.
+const { config } = require('../config');
+const MemoryDriver = require('./memoryDriver');
+const JsonFileDriver = require('./jsonFileDriver');
+const RedisDriver = require('./redisDriver');
+
+const createStorage = ({
+  driver = config.storage.driver,
+  filePath = config.storage.filePath,
+  redisUrl = config.cluster.redisUrl,
+  keyPrefix = config.cluster.keyPrefix
+} = {}) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryDriver();
+    case 'file':
+      return new JsonFileDriver(filePath);
+    case 'redis':
+      return new RedisDriver({ url: redisUrl, prefix: keyPrefix });
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+module.exports = { createStorage, MemoryDriver, JsonFileDriver, RedisDriver };
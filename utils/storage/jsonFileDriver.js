@@ -0,0 +1,81 @@
+// utils/storage/jsonFileDriver.js
+// Keeps every collection in memory and mirrors it to a single JSON file on
+// disk. Writes are debounced and go through a temp file + rename so a crash
+// mid-write never leaves a truncated store behind.
+const fs = require('fs');
+const path = require('path');
+const MemoryDriver = require('./memoryDriver');
+const { createLogger } = require('../logger');
+
+const log = createLogger('storage');
+
+class JsonFileDriver extends MemoryDriver {
+  constructor(filePath, { flushDelay = 200 } = {}) {
+    super();
+    this.filePath = path.resolve(filePath);
+    this.flushDelay = flushDelay;
+    this.flushTimer = null;
+  }
+
+  async init() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf8');
+      this.collections = JSON.parse(raw);
+      log.info('Loaded storage', { filePath: this.filePath });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load storage file ${this.filePath}: ${error.message}`);
+      }
+      log.info('Creating new storage file', { filePath: this.filePath });
+    }
+  }
+
+  async set(collection, id, value) {
+    const result = await super.set(collection, id, value);
+    this.scheduleFlush();
+    return result;
+  }
+
+  async delete(collection, id) {
+    const existed = await super.delete(collection, id);
+    if (existed) {
+      this.scheduleFlush();
+    }
+    return existed;
+  }
+
+  async clear(collection) {
+    await super.clear(collection);
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        log.error('Storage flush failed', { error });
+      });
+    }, this.flushDelay);
+  }
+
+  async flush() {
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(this.collections));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = JsonFileDriver;
@@ -0,0 +1,54 @@
+// utils/storage/memoryDriver.js
+// Process-local storage driver. Everything is lost on restart, which is what
+// you want for tests and local development. One instance handed to several
+// SessionStores with `shared: true` stands in for Redis between in-process
+// replicas.
+
+class MemoryDriver {
+  constructor({ shared = false } = {}) {
+    this.collections = {};
+    this.shared = shared;
+  }
+
+  async init() {}
+
+  collection(name) {
+    if (!this.collections[name]) {
+      this.collections[name] = {};
+    }
+    return this.collections[name];
+  }
+
+  async get(collection, id) {
+    const value = this.collection(collection)[id];
+    return value === undefined ? null : clone(value);
+  }
+
+  async set(collection, id, value) {
+    this.collection(collection)[id] = clone(value);
+    return value;
+  }
+
+  async delete(collection, id) {
+    const items = this.collection(collection);
+    const existed = id in items;
+    delete items[id];
+    return existed;
+  }
+
+  async list(collection) {
+    return Object.values(this.collection(collection)).map(clone);
+  }
+
+  async clear(collection) {
+    this.collections[collection] = {};
+  }
+
+  async close() {}
+}
+
+// Values are copied in and out so callers can't mutate stored state by
+// accident - the file driver behaves the same way after a round trip.
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = MemoryDriver;
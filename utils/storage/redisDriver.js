@@ -0,0 +1,64 @@
+// utils/storage/redisDriver.js
+// Storage shared by every backend replica. Each collection is a Redis hash
+// (`<prefix><collection>`) holding one JSON value per id, so reads always
+// see what the other replicas wrote.
+const { createClient } = require('redis');
+const { createLogger } = require('../logger');
+
+const log = createLogger('storage');
+
+class RedisDriver {
+  constructor({ url, prefix = 'proctoring:' } = {}) {
+    this.url = url;
+    this.prefix = prefix;
+    // Other replicas work on the same data - see SessionStore.init()
+    this.shared = true;
+    this.client = createClient({ url });
+    this.client.on('error', (error) => {
+      log.error('Redis storage error', { error: error.message });
+    });
+  }
+
+  async init() {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+      await this.client.ping();
+      log.info('Connected to Redis storage', { url: this.url || 'redis://localhost:6379' });
+    }
+  }
+
+  key(collection) {
+    return `${this.prefix}${collection}`;
+  }
+
+  async get(collection, id) {
+    const raw = await this.client.hGet(this.key(collection), String(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(collection, id, value) {
+    await this.client.hSet(this.key(collection), String(id), JSON.stringify(value));
+    return value;
+  }
+
+  async delete(collection, id) {
+    return (await this.client.hDel(this.key(collection), String(id))) > 0;
+  }
+
+  async list(collection) {
+    const items = await this.client.hGetAll(this.key(collection));
+    return Object.values(items).map(raw => JSON.parse(raw));
+  }
+
+  async clear(collection) {
+    await this.client.del(this.key(collection));
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisDriver;
@@ -0,0 +1,201 @@
+// utils/streamMonitor.js
+// Polls /v3/paths/list and diffs it against the previous poll, so stream
+// lifecycle events come from MediaMTX itself rather than from clients.
+//
+// Events:
+//   'stream-published' (path)            path became ready
+//   'stream-stopped'   (path)            path stopped being ready or vanished
+//   'viewer-joined'    (path, reader)    a reader session attached
+//   'viewer-left'      (path, reader)    a reader session went away
+// where `path` is the MediaMTX path object from the latest poll (or the last
+// known one for stopped paths) and `reader` is { type, id }. The backend's
+// own readers - HLS muxers feeding the /hls proxy and the mosaic/snapshot
+// FFmpeg RTSP sessions (utils/streams.js internalRtspUrl) - are no viewers
+// and raise no viewer events.
+//
+// Ingress bitrate per path is worked out from bytesReceived between polls.
+// Paths a MediaMTX fleet reports as `stale` (their node missed the poll)
+// keep their last state and get no bitrate.
+const EventEmitter = require('events');
+const { SOURCE_TYPE_PROTOCOLS } = require('./mediamtx');
+const { INTERNAL_READER_QUERY } = require('./streams');
+const { createLogger } = require('./logger');
+
+const log = createLogger('streams');
+
+class StreamMonitor extends EventEmitter {
+  constructor({ mediamtx, interval = 2000 }) {
+    super();
+    this.mediamtx = mediamtx;
+    this.interval = interval;
+    this.paths = new Map();
+    // path name -> bits per second received over the last poll interval
+    this.bitrates = new Map();
+    this.polledAt = null;
+    this.timer = null;
+    this.polling = null;
+    this.available = true;
+    // reader id -> whether it is one of the backend's own
+    this.internalReaders = new Map();
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.refresh(), this.interval);
+    this.refresh();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Polls right away. Concurrent callers share the in-flight poll.
+  refresh() {
+    if (!this.polling) {
+      this.polling = this.poll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async poll() {
+    const now = Date.now();
+    let items;
+    try {
+      ({ items } = await this.mediamtx.listPaths());
+    } catch (error) {
+      // Keep the last known state - a flaky API must not look like every
+      // stream stopping at once.
+      if (this.available) {
+        log.error('Stream monitor cannot reach MediaMTX', { error: error.message });
+        this.available = false;
+      }
+      return;
+    }
+
+    if (!this.available) {
+      log.info('Stream monitor reconnected to MediaMTX');
+      this.available = true;
+    }
+
+    const next = new Map(items.map(item => [item.name, item]));
+    this.updateBitrates(next, now);
+    await this.classifyReaders(next);
+
+    for (const [name, path] of next) {
+      const previous = this.paths.get(name);
+      const wasReady = Boolean(previous && previous.ready);
+
+      if (path.ready && !wasReady) {
+        this.emit('stream-published', path);
+      } else if (!path.ready && wasReady) {
+        this.emit('stream-stopped', path);
+      }
+
+      this.diffReaders(path, previous);
+    }
+
+    for (const [name, previous] of this.paths) {
+      if (!next.has(name)) {
+        this.diffReaders({ ...previous, readers: [] }, previous);
+        if (previous.ready) {
+          this.emit('stream-stopped', { ...previous, ready: false });
+        }
+      }
+    }
+
+    this.paths = next;
+    this.forgetReaders(next);
+  }
+
+  // Looks up RTSP readers not seen before
+  async classifyReaders(next) {
+    for (const path of next.values()) {
+      for (const reader of path.readers || []) {
+        if (this.internalReaders.has(reader.id)) {
+          continue;
+        }
+        const protocol = SOURCE_TYPE_PROTOCOLS[reader.type];
+        let internal = false;
+        if (protocol === 'rtsp' || protocol === 'rtsps') {
+          try {
+            const session = await this.mediamtx.getSession(protocol, reader.id, { node: path.node });
+            internal = String(session.query || '').replace(/^\?/, '').split('&').includes(INTERNAL_READER_QUERY);
+          } catch (error) {
+            // Gone already, or MediaMTX is busy - counted as a viewer
+            log.debug('Could not read reader session', { reader: reader.id, error: error.message });
+          }
+        }
+        this.internalReaders.set(reader.id, internal);
+      }
+    }
+  }
+
+  // Once their viewer-left has gone out
+  forgetReaders(paths) {
+    const current = new Set(Array.from(paths.values()).flatMap(path => (path.readers || []).map(reader => reader.id)));
+    for (const id of this.internalReaders.keys()) {
+      if (!current.has(id)) {
+        this.internalReaders.delete(id);
+      }
+    }
+  }
+
+  isViewer(reader) {
+    return reader.type !== 'hlsMuxer' && !this.internalReaders.get(reader.id);
+  }
+
+  updateBitrates(next, now) {
+    const elapsed = this.polledAt ? (now - this.polledAt) / 1000 : 0;
+    const bitrates = new Map();
+    for (const [name, path] of next) {
+      if (path.stale) {
+        continue;
+      }
+      const previous = this.paths.get(name);
+      const received = path.bytesReceived || 0;
+      // A republished path starts counting from zero again
+      if (previous && elapsed > 0 && received >= (previous.bytesReceived || 0)) {
+        bitrates.set(name, Math.round(((received - (previous.bytesReceived || 0)) * 8) / elapsed));
+      }
+    }
+    this.bitrates = bitrates;
+    this.polledAt = now;
+  }
+
+  diffReaders(path, previous) {
+    const viewers = readers => (readers || []).filter(reader => this.isViewer(reader)).map(reader => [reader.id, reader]);
+    const before = new Map(viewers(previous?.readers));
+    const after = new Map(viewers(path.readers));
+
+    for (const [id, reader] of after) {
+      if (!before.has(id)) {
+        this.emit('viewer-joined', path, reader);
+      }
+    }
+    for (const [id, reader] of before) {
+      if (!after.has(id)) {
+        this.emit('viewer-left', path, reader);
+      }
+    }
+  }
+
+  getPath(name) {
+    return this.paths.get(name) || null;
+  }
+
+  // null until the path has been seen in two polls
+  getIngressBitrate(name) {
+    return this.bitrates.has(name) ? this.bitrates.get(name) : null;
+  }
+
+  listReadyPaths() {
+    return Array.from(this.paths.values()).filter(path => path.ready);
+  }
+}
+
+module.exports = StreamMonitor;
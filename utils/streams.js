@@ -0,0 +1,144 @@
+// utils/streams.js
+// Helpers for the `${studentId}_${streamType}` paths every student publishes.
+const { serviceAuthHeaders, signServiceToken } = require('./auth');
+const { config } = require('./config');
+const { recordingPathConfig } = require('./recordings');
+const { createLogger } = require('./logger');
+
+const log = createLogger('streams');
+
+const { hls, webrtc, rtmp, rtmps, srt, rtsp, publicHost } = config.mediamtx;
+
+const streamNameFor = (studentId, streamType) => `${studentId}_${streamType}`;
+
+// SRT streamid the auth hook understands (routes/mediamtxHooks.js)
+const srtStreamId = (action, streamName, userId, token) => `${action}:${streamName}:${userId}:${token}`;
+
+// Query the backend's own RTSP readers carry, so the stream monitor can tell
+// them from proctors in the session's `query`
+const INTERNAL_READER_QUERY = 'reader=backend';
+
+// RTSP URL for the backend's own FFmpeg processes on a node. The auth hook
+// takes the password as the token.
+const internalRtspUrl = (node, streamName) => {
+  const host = new URL(node.urls.api).hostname;
+  return `rtsp://backend:${encodeURIComponent(signServiceToken())}@${host}:${rtsp.port}/${streamName}?${INTERNAL_READER_QUERY}`;
+};
+
+// Makes sure the path's MediaMTX node (assigned here if new) has a path for
+// the stream. Resolves true when the path is live or configured afterwards,
+// false when MediaMTX refused or is down. With `record` the path is created
+// (or patched) recording.
+const createStreamPathIfNeeded = async (mediamtx, streamName, { record = false } = {}) => {
+  try {
+    log.debug('Creating/verifying stream path', { streamName });
+    const node = await mediamtx.assign(streamName);
+    
+    // First check if path is already live (e.g. published under all_others) -
+    // adding a config for it now would restart the path and drop the publisher
+    try {
+      const pathData = await mediamtx.getPath(streamName);
+      log.debug('Stream path already exists', { streamName, ready: pathData.ready });
+      return true;
+    } catch (error) {
+      if (!error.isNotFound) throw error;
+    }
+
+    try {
+      const existing = await mediamtx.getPathConfig(streamName);
+      if (record && !existing.record) {
+        await mediamtx.patchPathConfig(streamName, recordingPathConfig());
+        log.info('Recording enabled', { streamName });
+      }
+      log.debug('Stream path already configured', { streamName });
+      return true;
+    } catch (error) {
+      if (!error.isNotFound) throw error;
+    }
+
+    // Create new path
+    await mediamtx.addPathConfig(streamName, {
+      source: 'publisher',
+      sourceOnDemand: false,
+      overridePublisher: true,
+      ...(record ? recordingPathConfig() : { record: false })
+    });
+    log.info('Stream path created', { streamName, node: node.id, record });
+      
+    // Initialize HLS endpoint after path creation
+    setTimeout(async () => {
+      if (!hls.enabled) return;
+      try {
+        log.debug('Initializing HLS endpoint', { streamName });
+        await fetch(`${node.urls.hls}/${streamName}/index.m3u8`, { headers: serviceAuthHeaders() });
+      } catch (initError) {
+        log.debug('HLS initialization pending', { streamName, error: initError.message });
+      }
+    }, 2000);
+    
+    return true;
+  } catch (error) {
+    log.error('Stream path creation failed', { streamName, error: error.message });
+    return false;
+  }
+};
+
+// Kicks the active publisher (if any), removes the path configuration and
+// releases the path's node assignment. Returns what was actually done so
+// callers can report it.
+const removeStreamPath = async (mediamtx, streamName) => {
+  const kicked = await mediamtx.kickPublisher(streamName);
+
+  let removed = false;
+  try {
+    await mediamtx.deletePathConfig(streamName);
+    removed = true;
+  } catch (error) {
+    // Paths served by the all_others catch-all have no config of their own
+    if (!error.isNotFound) throw error;
+  }
+
+  await mediamtx.unassign(streamName);
+  return { kicked, removed };
+};
+
+// Publish/read URLs for a path. WHIP/WHEP/HLS go through this backend's
+// proxies; RTMP and SRT go straight to MediaMTX and authenticate through the
+// auth hook with the id + token embedded in the URL, so they need the public
+// host of the node that owns the path. Protocols switched off in the config
+// are left out.
+const buildStreamUrls = (req, streamName, { userId, token, node }) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const mediaHost = (node && node.publicHost) || publicHost || req.hostname;
+  const rtmpPath = `${streamName}?user=${encodeURIComponent(userId)}&pass=${encodeURIComponent(token)}`;
+  const rtmpUrl = `rtmp://${mediaHost}:${rtmp.port}/${rtmpPath}`;
+  const rtmpsUrl = `rtmps://${mediaHost}:${rtmps.port}/${rtmpPath}`;
+  const srtUrl = (action) => `srt://${mediaHost}:${srt.port}?streamid=${encodeURIComponent(srtStreamId(action, streamName, userId, token))}`;
+
+  return {
+    publish: {
+      ...(webrtc.enabled && { whip: `${baseUrl}/${streamName}/whip` }),
+      ...(rtmp.enabled && { rtmp: rtmpUrl }),
+      ...(rtmps.enabled && { rtmps: rtmpsUrl }),
+      ...(srt.enabled && { srt: srtUrl('publish') })
+    },
+    read: {
+      ...(webrtc.enabled && { whep: `${baseUrl}/${streamName}/whep` }),
+      ...(hls.enabled && { hls: `${baseUrl}/hls/${streamName}/index.m3u8` }),
+      ...(rtmp.enabled && { rtmp: rtmpUrl }),
+      ...(rtmps.enabled && { rtmps: rtmpsUrl }),
+      ...(srt.enabled && { srt: srtUrl('read') })
+    },
+    statusUrl: `${baseUrl}/api/stream/${streamName}/status`
+  };
+};
+
+module.exports = {
+  streamNameFor,
+  srtStreamId,
+  INTERNAL_READER_QUERY,
+  internalRtspUrl,
+  createStreamPathIfNeeded,
+  removeStreamPath,
+  buildStreamUrls
+};
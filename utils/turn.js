@@ -0,0 +1,64 @@
+// utils/turn.js
+// ICE servers for WebRTC clients and MediaMTX.
+//
+// STUN entries come from config.mediamtx.webrtc.iceServers. TURN entries
+// (config.turn) get credentials issued per user with the TURN REST API
+// scheme: username "<expiry>:<userId>", credential
+// base64(HMAC-SHA1(secret, username)). To try it locally:
+//
+//   turnserver --use-auth-secret --static-auth-secret=$TURN_SECRET --realm=proctoring
+//   TURN_URLS=turn:localhost:3478 TURN_SECRET=... npm start
+const crypto = require('crypto');
+const { config } = require('./config');
+
+// MediaMTX generates TURN REST credentials itself when the username is this
+const MEDIAMTX_AUTH_SECRET = 'AUTH_SECRET';
+
+const issueTurnCredentials = (userId, { secret = config.turn.secret, ttl = config.turn.ttl, now = Date.now() } = {}) => {
+  const expiry = Math.floor(now / 1000) + ttl;
+  const username = `${expiry}:${userId}`;
+  return {
+    username,
+    credential: crypto.createHmac('sha1', secret).update(username).digest('base64'),
+    expiresAt: new Date(expiry * 1000)
+  };
+};
+
+// RTCIceServer list for a user, plus when its TURN credentials expire
+// (null without TURN)
+const iceServersFor = (user, { turn = config.turn, iceServers = config.mediamtx.webrtc.iceServers } = {}) => {
+  const servers = iceServers
+    .filter(server => server.username !== MEDIAMTX_AUTH_SECRET)
+    .map(({ url, username, password }) => (username ? { urls: url, username, credential: password } : { urls: url }));
+
+  if (!turn.secret || turn.urls.length === 0 || !user) {
+    return { iceServers: servers, expiresAt: null };
+  }
+  const { username, credential, expiresAt } = issueTurnCredentials(user.id, { secret: turn.secret, ttl: turn.ttl });
+  servers.push({ urls: [...turn.urls], username, credential });
+  return { iceServers: servers, expiresAt };
+};
+
+// WHIP/WHEP (RFC 9725) Link header values for the same servers
+const iceServerLinks = (servers) => servers.flatMap(server => [].concat(server.urls).map((url) => {
+  const link = `<${url}>; rel="ice-server"`;
+  return server.username
+    ? `${link}; username="${server.username}"; credential="${server.credential}"; credential-type="password"`
+    : link;
+}));
+
+// webrtcICEServers2 for MediaMTX: the STUN list plus the TURN URLs with the
+// shared secret
+const mediamtxIceServers = (cfg = config) => [
+  ...cfg.mediamtx.webrtc.iceServers,
+  ...(cfg.turn.secret
+    ? cfg.turn.urls.map(url => ({ url, username: MEDIAMTX_AUTH_SECRET, password: cfg.turn.secret }))
+    : [])
+];
+
+module.exports = {
+  issueTurnCredentials,
+  iceServersFor,
+  iceServerLinks,
+  mediamtxIceServers
+};